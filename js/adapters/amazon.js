@@ -0,0 +1,349 @@
+/**
+ * Amazon site adapter for Wishlist Quick Add
+ * Amazon splits prices into several spans and serves images in size-suffixed URLs
+ */
+
+(function() {
+  'use strict';
+
+  // Domain -> currency mapping
+  const domainCurrencyMap = {
+    'amazon.com': 'USD',
+    'amazon.co.uk': 'GBP',
+    'amazon.de': 'EUR',
+    'amazon.fr': 'EUR',
+    'amazon.it': 'EUR',
+    'amazon.es': 'EUR',
+    'amazon.nl': 'EUR',
+    'amazon.be': 'EUR',
+    'amazon.ca': 'CAD',
+    'amazon.com.au': 'AUD',
+    'amazon.co.jp': 'JPY',
+    'amazon.cn': 'CNY',
+    'amazon.in': 'INR',
+    'amazon.com.br': 'BRL',
+    'amazon.com.mx': 'MXN',
+    'amazon.pl': 'PLN',
+    'amazon.se': 'SEK',
+    'amazon.sg': 'SGD',
+    'amazon.ae': 'AED',
+    'amazon.sa': 'SAR',
+    'amazon.com.tr': 'TRY'
+  };
+
+  /**
+   * Convert an Amazon image URL to high resolution
+   * Amazon URLs contain suffixes like ._AC_SX300_ that can be modified
+   */
+  function getHighResUrl(url) {
+    if (!url) return null;
+    // Replace size suffixes with a high resolution version
+    // Pattern: ._XXX_SXnnn_ or ._XXX_SYnnn_ or ._SXnnn_ etc.
+    return url
+      .replace(/\._[A-Z]{2}_[A-Z]{2}\d+_\./, '._AC_SL1500_.')
+      .replace(/\._[A-Z]{2}\d+_\./, '._AC_SL1500_.')
+      .replace(/\._S[XY]\d+_\./, '._AC_SL1500_.');
+  }
+
+  window.siteAdapters.register({
+    name: 'amazon',
+
+    /**
+     * Match amazon.* storefronts (amazon.fr, www.amazon.co.uk, smile.amazon.com...)
+     */
+    matches(hostname) {
+      return hostname.includes('amazon.');
+    },
+
+    /**
+     * Product title shown above the buy box
+     */
+    getTitle(parser) {
+      const productTitle = parser.document.querySelector('#productTitle');
+      return productTitle ? productTitle.textContent : null;
+    },
+
+    /**
+     * Amazon-specific price extraction
+     * Amazon displays the price with separate spans for the integer and decimal parts
+     */
+    getPrice(parser) {
+      // Amazon mixes US (1,234.56) and EU (1.234,56) formats, the currency tells them apart
+      const currency = this.getCurrency(parser);
+
+      // Method 1: Price in the .a-offscreen span (accessible price) - most reliable
+      // .a-text-price spans are list prices ("List: 29,99 €") and unit prices, not the price to pay
+      const offscreenSelectors = [
+        '#corePriceDisplay_desktop_feature_div .priceToPay .a-offscreen',
+        '#corePrice_feature_div .apexPriceToPay .a-offscreen',
+        '#corePrice_feature_div .a-price:not(.a-text-price) .a-offscreen',
+        '#corePriceDisplay_desktop_feature_div .a-price:not(.a-text-price) .a-offscreen',
+        '.a-price[data-a-size="xl"] .a-offscreen',
+        '.a-price[data-a-size="l"] .a-offscreen',
+        '#priceblock_dealprice',
+        '#priceblock_saleprice',
+        '#priceblock_ourprice',
+        '.a-price:not(.a-text-price) .a-offscreen'
+      ];
+
+      for (const selector of offscreenSelectors) {
+        const el = parser.document.querySelector(selector);
+        if (el) {
+          const price = parser.parsePrice(el.textContent, currency);
+          if (price !== null) return price;
+        }
+      }
+
+      // Method 2: Price in data attributes or hidden input
+      const priceInput = parser.document.querySelector('input[name="displayedPrice"]') ||
+                         parser.document.querySelector('#priceValue') ||
+                         parser.document.querySelector('[data-a-price]');
+      if (priceInput) {
+        const value = priceInput.value || priceInput.dataset.aPrice;
+        if (value) {
+          const price = parser.parsePrice(value, currency);
+          if (price !== null) return price;
+        }
+      }
+
+      // Method 3: Look for structured price with separate integer and fraction parts
+      const priceWhole = parser.document.querySelector('.a-price-whole, #priceblock_ourprice .a-price-whole, #corePrice_feature_div .a-price-whole');
+      const priceFraction = parser.document.querySelector('.a-price-fraction, #priceblock_ourprice .a-price-fraction, #corePrice_feature_div .a-price-fraction');
+
+      if (priceWhole) {
+        // Clean the integer part (remove thousands separators and trailing comma/dot)
+        let whole = priceWhole.textContent.replace(/[^\d]/g, '');
+        let fraction = priceFraction ? priceFraction.textContent.replace(/[^\d]/g, '') : '00';
+
+        if (whole) {
+          const price = parseFloat(`${whole}.${fraction}`);
+          if (!isNaN(price)) return price;
+        }
+      }
+
+      return null;
+    },
+
+    /**
+     * List price shown struck-through next to a deal ("List Price: $29.99")
+     */
+    getOriginalPrice(parser) {
+      const currency = this.getCurrency(parser);
+      const selectors = [
+        '#corePriceDisplay_desktop_feature_div .basisPrice .a-offscreen',
+        '#corePrice_feature_div .basisPrice .a-offscreen',
+        '.a-price.a-text-price[data-a-strike="true"] .a-offscreen',
+        '#listPrice',
+        '#priceblock_listprice'
+      ];
+
+      for (const selector of selectors) {
+        const el = parser.document.querySelector(selector);
+        if (el) {
+          const price = parser.parsePrice(el.textContent, currency);
+          if (price !== null) return price;
+        }
+      }
+
+      return null;
+    },
+
+    /**
+     * Price per unit shown under the price ("(12,50 € / kg)")
+     */
+    getUnitPrice(parser) {
+      const el = parser.document.querySelector('#corePriceDisplay_desktop_feature_div .pricePerUnit, #corePrice_feature_div .pricePerUnit, .pricePerUnit');
+      if (!el) return null;
+
+      const text = el.parentElement ? el.parentElement.textContent : el.textContent;
+      const match = text.match(parser.unitPricePattern);
+      if (!match) return null;
+
+      const price = parser.parsePrice(match[1], this.getCurrency(parser));
+      return price !== null ? { price, unit: match[2].replace(/\s+/g, ' ').trim() } : null;
+    },
+
+    /**
+     * Options selected in the twister ("Colour: Blue", "Size: XL")
+     */
+    getVariant(parser) {
+      const options = [];
+
+      // Classic twister: one row per dimension with a label and the current selection
+      for (const row of parser.document.querySelectorAll('#twister [id^="variation_"]')) {
+        const label = row.querySelector('label.a-form-label');
+        const selection = row.querySelector('.selection');
+        if (label && selection && selection.textContent.trim()) {
+          options.push({
+            name: label.textContent.replace(/:\s*$/, '').trim(),
+            value: selection.textContent.trim()
+          });
+        }
+      }
+
+      // Inline twister: the dimension is only in the id ("...-text-color_name")
+      if (options.length === 0) {
+        for (const el of parser.document.querySelectorAll('[id^="inline-twister-expanded-dimension-text-"]')) {
+          const name = el.id.replace('inline-twister-expanded-dimension-text-', '').replace(/_name$/, '').replace(/_/g, ' ');
+          if (el.textContent.trim()) {
+            options.push({ name, value: el.textContent.trim() });
+          }
+        }
+      }
+
+      return options.length > 0 ? { options } : null;
+    },
+
+    /**
+     * Products of search results, categories and wishlists
+     */
+    getProducts(parser) {
+      const currency = this.getCurrency(parser);
+      const products = [];
+
+      // Search and category results: one card per ASIN
+      for (const card of parser.document.querySelectorAll('[data-component-type="s-search-result"][data-asin]')) {
+        const asin = card.getAttribute('data-asin');
+        if (!asin) continue;
+
+        const title = card.querySelector('h2');
+        const price = card.querySelector('.a-price:not(.a-text-price) .a-offscreen');
+        const image = card.querySelector('img.s-image');
+        products.push({
+          title: title ? title.textContent : null,
+          url: `/dp/${asin}`,
+          images: image ? [getHighResUrl(image.getAttribute('src'))] : [],
+          price: price ? parser.parsePrice(price.textContent, currency) : null,
+          currency
+        });
+      }
+
+      // Wishlists: the price is in data-price ("-Infinity" when unavailable)
+      for (const row of parser.document.querySelectorAll('li[data-itemid]')) {
+        const link = row.querySelector('a[id^="itemName_"]');
+        if (!link) continue;
+
+        const image = row.querySelector('img');
+        const price = parseFloat(row.getAttribute('data-price'));
+        products.push({
+          title: link.getAttribute('title') || link.textContent,
+          url: link.getAttribute('href'),
+          images: image ? [getHighResUrl(image.getAttribute('src'))] : [],
+          price: isFinite(price) && price > 0 ? price : null,
+          currency
+        });
+      }
+
+      return products;
+    },
+
+    /**
+     * Detect currency based on domain and displayed symbols
+     */
+    getCurrency(parser) {
+      const hostname = parser.location.hostname;
+
+      // Search by domain, the longest first: amazon.com.au is not amazon.com
+      const domain = Object.keys(domainCurrencyMap)
+        .filter(name => hostname === name || hostname.endsWith(`.${name}`))
+        .sort((a, b) => b.length - a.length)[0];
+      if (domain) {
+        return domainCurrencyMap[domain];
+      }
+
+      // Fallback: detect symbol in displayed price
+      const priceElement = parser.document.querySelector('.a-price-symbol, #priceblock_ourprice, #corePrice_feature_div .a-offscreen');
+      if (priceElement) {
+        const text = priceElement.textContent;
+        if (text.includes('$')) return 'USD';
+        if (text.includes('£')) return 'GBP';
+        if (text.includes('€')) return 'EUR';
+        if (text.includes('¥')) return 'JPY';
+      }
+
+      return null;
+    },
+
+    /**
+     * Amazon-specific image extraction
+     * Targets only the main product image, not related products
+     */
+    getImages(parser) {
+      const images = [];
+      const seenUrls = new Set();
+
+      // Method 1: Main image in the viewer (landingImage)
+      const landingImage = parser.document.querySelector('#landingImage, #imgBlkFront, #ebooksImgBlkFront');
+      if (landingImage) {
+        // Look for high resolution image in data-old-hires or data-a-dynamic-image
+        let imgUrl = landingImage.getAttribute('data-old-hires');
+
+        if (!imgUrl) {
+          // data-a-dynamic-image contains a JSON object with the available sizes
+          const dynamicImage = landingImage.getAttribute('data-a-dynamic-image');
+          if (dynamicImage) {
+            try {
+              const imgData = JSON.parse(dynamicImage);
+              // Take the URL with the highest resolution
+              const urls = Object.keys(imgData);
+              if (urls.length > 0) {
+                // Sort by size (width * height)
+                urls.sort((a, b) => {
+                  const [wa, ha] = imgData[a];
+                  const [wb, hb] = imgData[b];
+                  return (wb * hb) - (wa * ha);
+                });
+                // Largest image, in full size like the gallery thumbnails below so it is not listed twice
+                imgUrl = getHighResUrl(urls[0]);
+              }
+            } catch (e) {
+              // Ignore parse errors
+            }
+          }
+        }
+
+        if (!imgUrl) {
+          imgUrl = getHighResUrl(landingImage.src);
+        }
+
+        if (imgUrl && !seenUrls.has(imgUrl)) {
+          images.push(imgUrl);
+          seenUrls.add(imgUrl);
+        }
+      }
+
+      // Method 2: Thumbnails from the product gallery (altImages)
+      const thumbnailContainer = parser.document.querySelector('#altImages, #imageBlock_feature_div');
+      if (thumbnailContainer) {
+        const thumbnails = thumbnailContainer.querySelectorAll('img[src*="/images/I/"]');
+        for (const thumb of thumbnails) {
+          let imgUrl = getHighResUrl(thumb.src);
+
+          // Ignore video images (play button overlay)
+          if (imgUrl && /_play-button|play-icon-overlay/.test(imgUrl)) continue;
+
+          if (imgUrl && !seenUrls.has(imgUrl)) {
+            images.push(imgUrl);
+            seenUrls.add(imgUrl);
+          }
+
+          // Limit to 5 images max to avoid excess
+          if (images.length >= 5) break;
+        }
+      }
+
+      // Method 3: Fallback to og:image if nothing found
+      if (images.length === 0) {
+        const ogImage = parser.getMetaValue('og:image');
+        if (ogImage) {
+          const imgUrl = getHighResUrl(ogImage);
+          if (imgUrl) {
+            images.push(imgUrl);
+          }
+        }
+      }
+
+      return images;
+    }
+  });
+})();
@@ -0,0 +1,189 @@
+/**
+ * Wishlist API client for Wishlist Quick Add
+ * Shared by the popup and the background script
+ */
+
+(function() {
+  'use strict';
+
+  /**
+   * Error returned by the API (status is 0 when the server could not be reached)
+   */
+  class ApiError extends Error {
+    constructor(message, status) {
+      super(message);
+      this.name = 'ApiError';
+      this.status = status;
+    }
+  }
+
+  /**
+   * Load the connection settings of a profile from storage
+   * @param {string} profileId - Profile to use, the active one by default
+   */
+  async function getConfig(profileId) {
+    const profile = profileId ? await window.profiles.get(profileId) : await window.profiles.getActive();
+    return toConfig(profile);
+  }
+
+  /**
+   * Get the connection settings of a profile
+   */
+  function toConfig(profile) {
+    return {
+      profileId: profile ? profile.id : null,
+      serverUrl: (profile && profile.serverUrl) || '',
+      apiKey: (profile && profile.apiKey) || '',
+      lists: (profile && profile.lists) || [],
+      defaultListId: (profile && profile.defaultListId) || ''
+    };
+  }
+
+  /**
+   * Check that the extension is configured
+   */
+  function isConfigured(config) {
+    return Boolean(config.serverUrl && config.apiKey);
+  }
+
+  /**
+   * Send a request to the API and return the parsed JSON body
+   * The body is sent as JSON, or as multipart form data when it is a FormData
+   */
+  async function request(config, path, { method = 'GET', body } = {}) {
+    const headers = {
+      'Authorization': `Bearer ${config.apiKey}`,
+      'Accept': 'application/json'
+    };
+    const isForm = body instanceof FormData;
+    if (body !== undefined && !isForm) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    let response;
+    try {
+      response = await fetch(`${config.serverUrl}${path}`, {
+        method,
+        headers,
+        body: body !== undefined && !isForm ? JSON.stringify(body) : body
+      });
+    } catch (error) {
+      throw new ApiError(error.message, 0);
+    }
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new ApiError(error.error || response.statusText, response.status);
+    }
+
+    return response.json().catch(() => ({}));
+  }
+
+  /**
+   * Fetch the lists of the user
+   */
+  async function fetchLists(config) {
+    const data = await request(config, '/api/v1/lists');
+    return data.lists || [];
+  }
+
+  /**
+   * Fetch the items of a list
+   */
+  async function fetchListItems(config, listId) {
+    const data = await request(config, `/api/v1/lists/${encodeURIComponent(listId)}/items`);
+    return data.items || [];
+  }
+
+  /**
+   * Build the body of a request sending an image file with the item
+   * multipart/form-data: the item fields as JSON in "item", the file in "image" (it replaces imageUrl)
+   * @param {Object} image - { blob, filename }
+   */
+  function toImageForm(data, image) {
+    const form = new FormData();
+    form.append('item', new Blob([JSON.stringify(data)], { type: 'application/json' }));
+    form.append('image', image.blob, image.filename);
+    return form;
+  }
+
+  /**
+   * Create an item
+   * @param {Object} image - Image file sent with the item ({ blob, filename }, optional)
+   */
+  async function createItem(config, itemData, image = null) {
+    const body = image ? toImageForm(itemData, image) : itemData;
+    return request(config, '/api/v1/items', { method: 'POST', body });
+  }
+
+  /**
+   * Update some fields of an item
+   * @param {Object} image - New image file of the item ({ blob, filename }, optional)
+   */
+  async function updateItem(config, itemId, changes, image = null) {
+    const body = image ? toImageForm(changes, image) : changes;
+    return request(config, `/api/v1/items/${encodeURIComponent(itemId)}`, { method: 'PATCH', body });
+  }
+
+  /**
+   * Delete an item
+   */
+  async function deleteItem(config, itemId) {
+    return request(config, `/api/v1/items/${encodeURIComponent(itemId)}`, { method: 'DELETE' });
+  }
+
+  /**
+   * Get the id of an item from an API response ({ id } or { item: { id } })
+   */
+  function getItemId(result) {
+    if (!result) return null;
+    return result.id || (result.item && result.item.id) || null;
+  }
+
+  /**
+   * Get a user-facing message for an error thrown while adding an item
+   */
+  function getErrorMessage(error) {
+    const __ = (key, substitutions, fallback) => (window.i18n ? window.i18n.getMessage(key, substitutions) : fallback);
+    const status = error instanceof ApiError ? error.status : 0;
+
+    switch (status) {
+      case 0:
+        return __('errorNetworkPopup', {}, 'Could not contact the server.');
+      case 401:
+        return __('errorInvalidKey', {}, 'Invalid or expired API key.');
+      case 403:
+        return __('errorNoPermission', {}, 'You do not have permission to add to this list.');
+      case 404:
+        return __('errorListNotFound', {}, 'List not found. It may have been deleted.');
+      default:
+        return __('errorAddingItem', { error: error.message }, `Error adding item: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the display name of a list ("Birthday (Family)")
+   */
+  function getListLabel(list) {
+    const listName = list.name || (window.i18n ? window.i18n.getMessage('unnamedList') : 'Unnamed list');
+    const groupName = (list.groupName && list.groupName.toLowerCase() !== 'default') ? ` (${list.groupName})` : '';
+    return `${listName}${groupName}`;
+  }
+
+  // Export for use in other scripts
+  window.wishlistApi = {
+    ApiError,
+    getConfig,
+    toConfig,
+    isConfigured,
+    request,
+    fetchLists,
+    fetchListItems,
+    createItem,
+    updateItem,
+    deleteItem,
+    getItemId,
+    getErrorMessage,
+    getListLabel
+  };
+})();
@@ -0,0 +1,478 @@
+/**
+ * Background script for Wishlist Quick Add
+ * Registers the "Add to Wishlist" context menus and the quick add shortcut,
+ * adds items without opening the popup, retries the queued items
+ * and checks the prices of the added items
+ */
+
+(function() {
+  'use strict';
+
+  // Context menu roots: one per kind of target, each with a submenu per list
+  const MENUS = {
+    page: { contexts: ['page'], titleKey: 'menuAddPage' },
+    link: { contexts: ['link'], titleKey: 'menuAddLink' },
+    image: { contexts: ['image'], titleKey: 'menuAddImage' }
+  };
+
+  // Context menu opening the popup on a link, to review the product before adding it
+  const LINK_POPUP_MENU = 'link-popup';
+
+  // Link chosen with that menu, handed over to the popup it opens
+  let pendingLink = null;
+
+  // Quick-added items that can still be undone, by notification id
+  const undoableItems = new Map();
+
+  // Alarm used to retry the queued items
+  const OUTBOX_ALARM = 'outbox-retry';
+
+  // Outbox operations run one at a time so that an item is never sent twice
+  let outboxTask = Promise.resolve();
+
+  // Price drop notifications, product URL by notification id
+  const priceDropPages = new Map();
+
+  // Alarm used to check the prices, items are only fetched once their interval has passed
+  const PRICE_ALARM = 'price-check';
+
+  // Price checks run one at a time so that a page is never fetched twice
+  let priceCheck = Promise.resolve();
+
+  // Menu rebuilds run one at a time so that a removeAll() never falls between the create() calls of another
+  let menuBuild = Promise.resolve();
+
+  // i18n helper
+  function __(key, substitutions = {}) {
+    if (window.i18n) {
+      return window.i18n.getMessage(key, substitutions);
+    }
+    return key;
+  }
+
+  /**
+   * Initialization
+   */
+  async function init() {
+    if (window.i18n && window.i18n.initI18n) {
+      await window.i18n.initI18n();
+    }
+
+    await buildContextMenus();
+    await updateOutboxStatus();
+    await updatePriceAlarm();
+
+    browser.contextMenus.onClicked.addListener(handleMenuClick);
+    browser.storage.onChanged.addListener(handleStorageChange);
+    browser.commands.onCommand.addListener(handleCommand);
+    browser.notifications.onClicked.addListener(handleNotificationClick);
+    browser.notifications.onClosed.addListener(notificationId => {
+      undoableItems.delete(notificationId);
+      priceDropPages.delete(notificationId);
+    });
+    browser.alarms.onAlarm.addListener(handleAlarm);
+    browser.runtime.onMessage.addListener(handleMessage);
+
+    // Back online: retry everything without waiting for the schedule
+    window.addEventListener('online', () => runOutboxTask(() => window.outbox.processDue(true)));
+  }
+
+  /**
+   * Rebuild the context menus after the rebuilds already under way
+   */
+  function buildContextMenus() {
+    const run = menuBuild.then(createContextMenus);
+    menuBuild = run.catch(error => console.error('Context menu error:', error));
+    return run;
+  }
+
+  /**
+   * (Re)create the context menus from the cached lists of the active profile
+   */
+  async function createContextMenus() {
+    await browser.contextMenus.removeAll();
+
+    const config = await window.wishlistApi.getConfig();
+    if (!window.wishlistApi.isConfigured(config) || config.lists.length === 0) {
+      return;
+    }
+
+    // Default list first
+    const lists = [...config.lists].sort((a, b) => (b.id === config.defaultListId) - (a.id === config.defaultListId));
+
+    for (const [kind, menu] of Object.entries(MENUS)) {
+      browser.contextMenus.create({
+        id: kind,
+        title: __(menu.titleKey),
+        contexts: menu.contexts
+      });
+
+      // A single list needs no submenu: the root item adds to it directly
+      if (lists.length < 2) continue;
+
+      for (const list of lists) {
+        browser.contextMenus.create({
+          id: `${kind}:${list.id}`,
+          parentId: kind,
+          title: window.wishlistApi.getListLabel(list),
+          contexts: menu.contexts
+        });
+      }
+    }
+
+    browser.contextMenus.create({
+      id: LINK_POPUP_MENU,
+      title: __('menuReviewLink'),
+      contexts: ['link']
+    });
+  }
+
+  /**
+   * Rebuild the menus when the profiles (lists, connection) or the language change,
+   * refresh the badge when the outbox changes and the price alarm when its settings change
+   */
+  async function handleStorageChange(changes, areaName) {
+    if (areaName !== 'local') return;
+
+    if (window.outbox.STORAGE_KEY in changes) {
+      await updateOutboxStatus(changes[window.outbox.STORAGE_KEY].newValue || []);
+    }
+
+    if (window.priceTracker.SETTINGS_KEY in changes) {
+      await updatePriceAlarm();
+    }
+
+    const keys = [window.profiles.STORAGE_KEY, window.profiles.ACTIVE_KEY, 'language'];
+    if (!keys.some(key => key in changes)) return;
+
+    if ('language' in changes && window.i18n) {
+      await window.i18n.initI18n();
+    }
+    await buildContextMenus();
+  }
+
+  /**
+   * Handle a click on one of the context menus
+   */
+  async function handleMenuClick(info, tab) {
+    // The popup can only be opened right away, while handling the click
+    if (info.menuItemId === LINK_POPUP_MENU) {
+      openLinkInPopup(info.linkUrl);
+      return;
+    }
+
+    const [kind, listId] = String(info.menuItemId).split(':');
+    if (!MENUS[kind]) return;
+
+    const config = await window.wishlistApi.getConfig();
+    const targetListId = listId || getDefaultListId(config);
+    if (!targetListId) return;
+
+    try {
+      const pageData = await getTargetData(kind, info, tab);
+      const { itemData, queued } = await addItem(config, targetListId, pageData);
+
+      if (queued) {
+        notify(__('itemQueuedTitle'), __('itemQueued', { name: itemData.name }));
+      } else {
+        notify(__('successTitle'), __('itemAdded', { name: itemData.name, list: getListName(config, targetListId) }));
+      }
+    } catch (error) {
+      console.error('Error while adding from the context menu:', error);
+      notify(__('errorTitle'), window.wishlistApi.getErrorMessage(error));
+    }
+  }
+
+  /**
+   * Open the popup on a link, it reads the page without opening it
+   * A window with the popup page is used when the popup cannot be opened
+   */
+  function openLinkInPopup(url) {
+    pendingLink = url;
+    browser.browserAction.openPopup().catch(error => {
+      console.warn('Could not open the popup:', error);
+      browser.windows.create({ url: browser.runtime.getURL('popup.html'), type: 'popup', width: 420, height: 720 });
+    });
+  }
+
+  /**
+   * Handle a keyboard shortcut: add the current page to the default list in one step
+   */
+  async function handleCommand(command) {
+    if (command !== 'quick-add') return;
+
+    const config = await window.wishlistApi.getConfig();
+    if (!window.wishlistApi.isConfigured(config)) {
+      notify(__('configNeeded'), __('configNeededMessage'));
+      return;
+    }
+
+    const listId = getDefaultListId(config);
+    if (!listId) {
+      notify(__('errorTitle'), __('pleaseSelectList'));
+      return;
+    }
+
+    const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+    if (tabs.length === 0) return;
+
+    try {
+      const pageData = await getTargetData('page', {}, tabs[0]);
+      const { itemData, result, queued } = await addItem(config, listId, pageData);
+      if (queued) {
+        notify(__('itemQueuedTitle'), __('itemQueued', { name: itemData.name }));
+        return;
+      }
+
+      const listName = getListName(config, listId);
+      const itemId = window.wishlistApi.getItemId(result);
+      let message = __('itemAdded', { name: itemData.name, list: listName });
+      if (itemId) {
+        message += `\n${__('clickToUndo')}`;
+      }
+
+      const notificationId = await notify(__('successTitle'), message);
+      if (itemId) {
+        undoableItems.set(notificationId, { config, itemId, name: itemData.name, listName });
+      }
+    } catch (error) {
+      console.error('Error during quick add:', error);
+      notify(__('errorTitle'), window.wishlistApi.getErrorMessage(error));
+    }
+  }
+
+  /**
+   * Undo a quick add when its notification is clicked, open the product of a price drop
+   */
+  async function handleNotificationClick(notificationId) {
+    const pageUrl = priceDropPages.get(notificationId);
+    if (pageUrl) {
+      priceDropPages.delete(notificationId);
+      browser.notifications.clear(notificationId);
+      browser.tabs.create({ url: pageUrl });
+      return;
+    }
+
+    const entry = undoableItems.get(notificationId);
+    if (!entry) return;
+
+    undoableItems.delete(notificationId);
+    browser.notifications.clear(notificationId);
+
+    try {
+      await window.wishlistApi.deleteItem(entry.config, entry.itemId);
+      await window.itemHistory.remove(entry.config, entry.itemId);
+      notify(__('itemRemovedTitle'), __('itemRemoved', { name: entry.name, list: entry.listName }));
+    } catch (error) {
+      console.error('Error while undoing a quick add:', error);
+      notify(__('errorTitle'), __('undoFailed', { error: error.message }));
+    }
+  }
+
+  /**
+   * Get the list used when none was chosen: the last used list, or the first one
+   */
+  function getDefaultListId(config) {
+    return config.defaultListId || (config.lists[0] && config.lists[0].id) || null;
+  }
+
+  /**
+   * Get the name of a cached list
+   */
+  function getListName(config, listId) {
+    const list = config.lists.find(l => l.id === listId);
+    return list ? list.name : listId;
+  }
+
+  /**
+   * Post extracted page data to a list, queue it in the outbox if the server cannot be reached
+   */
+  async function addItem(config, listId, pageData) {
+    const itemData = window.itemBuilder.fromPageInfo(listId, pageData, await window.listDefaults.get(config, listId));
+    try {
+      const result = await window.imageUpload.createItem(config, itemData);
+      await window.itemHistory.record(config, itemData, result);
+      return { itemData, result, queued: false };
+    } catch (error) {
+      if (!window.outbox.isRetryable(error)) throw error;
+
+      await window.outbox.enqueue(config, itemData, error);
+      return { itemData, result: null, queued: true };
+    }
+  }
+
+  /**
+   * Run an outbox operation after the previous ones
+   */
+  function runOutboxTask(task) {
+    const run = outboxTask.then(task);
+    outboxTask = run.catch(error => console.error('Outbox error:', error));
+    return run;
+  }
+
+  /**
+   * Retry the queued items whose time has come, check the prices
+   */
+  function handleAlarm(alarm) {
+    if (alarm.name === OUTBOX_ALARM) {
+      runOutboxTask(() => window.outbox.processDue());
+    } else if (alarm.name === PRICE_ALARM) {
+      checkPrices();
+    }
+  }
+
+  /**
+   * Check the prices after the previous check and notify the drops
+   * @param {boolean} force - Check every tracked item now
+   */
+  function checkPrices(force = false) {
+    const run = priceCheck
+      .then(() => window.priceTracker.checkPrices(force))
+      .then(result => {
+        result.drops.forEach(notifyPriceDrop);
+        return { checked: result.checked, drops: result.drops.length };
+      });
+    priceCheck = run.catch(error => console.error('Price check error:', error));
+    return run;
+  }
+
+  /**
+   * Show a price drop notification, clicking it opens the product
+   */
+  async function notifyPriceDrop(drop) {
+    const { entry, price, updated } = drop;
+    let message = __('priceDrop', {
+      name: entry.name,
+      price: formatPrice(price, entry.currency),
+      oldPrice: formatPrice(entry.price, entry.currency)
+    });
+    if (updated) {
+      message += `\n${__('priceDropUpdated')}`;
+    }
+
+    const notificationId = await notify(__('priceDropTitle'), message);
+    priceDropPages.set(notificationId, entry.url);
+  }
+
+  /**
+   * Create or clear the price alarm according to the settings
+   */
+  async function updatePriceAlarm() {
+    const settings = await window.priceTracker.getSettings();
+    const alarm = await browser.alarms.get(PRICE_ALARM);
+
+    if (settings.enabled && !alarm) {
+      // Hourly, each item is only fetched once its interval has passed
+      browser.alarms.create(PRICE_ALARM, { delayInMinutes: 1, periodInMinutes: 60 });
+    } else if (!settings.enabled && alarm) {
+      browser.alarms.clear(PRICE_ALARM);
+    }
+  }
+
+  /**
+   * Handle messages from the options page and the popup
+   */
+  function handleMessage(message) {
+    if (message.action === 'fetchPageInfo') {
+      return window.pageFetcher.fetchPageInfo(message.url);
+    }
+
+    if (message.action === 'takePendingLink') {
+      const url = pendingLink;
+      pendingLink = null;
+      return Promise.resolve(url);
+    }
+
+    if (message.action === 'checkPrices') {
+      return checkPrices(true);
+    }
+
+    if (message.action === 'retryOutbox') {
+      // A single entry, or every pending entry
+      const task = message.id
+        ? () => window.outbox.send(message.id).then(success => ({ sent: success ? 1 : 0 }))
+        : () => window.outbox.processDue(true).then(sent => ({ sent }));
+      return runOutboxTask(task);
+    }
+    return false;
+  }
+
+  /**
+   * Show the number of queued items on the toolbar icon and schedule the retries
+   */
+  async function updateOutboxStatus(entries) {
+    if (!entries) {
+      entries = await window.outbox.getAll();
+    }
+
+    // Red when some items need the user's attention
+    const hasFailed = entries.some(e => e.failed);
+    browser.browserAction.setBadgeText({ text: entries.length > 0 ? String(entries.length) : '' });
+    browser.browserAction.setBadgeBackgroundColor({ color: hasFailed ? '#dc3545' : '#f0ad4e' });
+
+    const hasPending = entries.some(e => !e.failed);
+    const alarm = await browser.alarms.get(OUTBOX_ALARM);
+    if (hasPending && !alarm) {
+      browser.alarms.create(OUTBOX_ALARM, { periodInMinutes: 1 });
+    } else if (!hasPending && alarm) {
+      browser.alarms.clear(OUTBOX_ALARM);
+    }
+  }
+
+  /**
+   * Get the product data for a context menu target or the current page
+   */
+  async function getTargetData(kind, info, tab) {
+    if (kind === 'link') {
+      const linkTitle = (info.linkText || '').trim() || info.linkUrl;
+      try {
+        const data = await window.pageFetcher.fetchPageInfo(info.linkUrl);
+        return { ...data, title: data.title || linkTitle };
+      } catch (error) {
+        console.warn('Could not read the linked page, using the link text:', error);
+        return { url: info.linkUrl, title: linkTitle, images: [] };
+      }
+    }
+
+    // Page and image: use the extraction of the page, fall back to the tab title
+    let data;
+    try {
+      data = await window.tabInfo.getPageInfo(tab.id);
+    } catch (error) {
+      console.warn('Extraction failed, using the tab information:', error);
+      data = { url: tab.url, title: tab.title, images: [] };
+    }
+
+    if (kind === 'image') {
+      data.images = [info.srcUrl, ...(data.images || []).filter(image => image !== info.srcUrl)];
+    }
+
+    return data;
+  }
+
+  /**
+   * Format a price with its currency for the notifications
+   */
+  function formatPrice(value, currency) {
+    try {
+      const language = window.i18n ? window.i18n.getCurrentLanguage() : undefined;
+      return new Intl.NumberFormat(language, { style: 'currency', currency }).format(value);
+    } catch (e) {
+      return `${value} ${currency}`;
+    }
+  }
+
+  /**
+   * Show a browser notification
+   */
+  function notify(title, message) {
+    return browser.notifications.create({
+      type: 'basic',
+      iconUrl: browser.runtime.getURL('icons/icon48.png'),
+      title,
+      message
+    });
+  }
+
+  init();
+})();
@@ -0,0 +1,432 @@
+/**
+ * Bulk capture page for Wishlist Quick Add
+ * Reads the product information of every tab of the window, or the products listed
+ * on the page of one tab (bulk.html?tabId=12), lets the user review them
+ * and adds the selected rows to a list
+ */
+
+(function() {
+  'use strict';
+
+  // A tab that does not answer (still loading, frozen) is added with its title and URL only
+  const TAB_TIMEOUT_MS = 10000;
+
+  // Tab whose listed products are reviewed, null to review all the tabs of the window
+  const sourceTabId = parseInt(new URLSearchParams(window.location.search).get('tabId'), 10) || null;
+
+  // State
+  let config = null;
+  let profiles = [];
+  // Reading the tabs or adding the rows
+  let busy = false;
+  // One row per tab or product: { data, checkbox, titleInput, status, statusCell, element }
+  const rows = [];
+
+  // DOM elements
+  const elements = {};
+
+  // i18n helper
+  function __(key, substitutions = {}) {
+    if (window.i18n) {
+      return window.i18n.getMessage(key, substitutions);
+    }
+    return key;
+  }
+
+  /**
+   * Initialization
+   */
+  document.addEventListener('DOMContentLoaded', async () => {
+    // Initialize i18n with the selected language
+    if (window.i18n && window.i18n.initI18n) {
+      await window.i18n.initI18n();
+    }
+
+    // Apply i18n translations
+    if (window.i18n) {
+      window.i18n.applyTranslations();
+    }
+
+    initElements();
+    initEventListeners();
+    updateAddButton();
+
+    if (sourceTabId) {
+      elements.title.textContent = __('bulkProductsTitle');
+      document.title = elements.title.textContent;
+    }
+
+    if (await loadConfig()) {
+      await window.urlCleaner.loadRules();
+      await (sourceTabId ? readProducts(sourceTabId) : readTabs());
+    }
+  });
+
+  /**
+   * Initialize references to elements
+   */
+  function initElements() {
+    elements.title = document.getElementById('bulk-title');
+    elements.profileGroup = document.getElementById('profile-group');
+    elements.profileSelect = document.getElementById('profile-select');
+    elements.listSelect = document.getElementById('list-select');
+    elements.progress = document.getElementById('bulk-progress');
+    elements.progressBar = document.getElementById('progress-bar');
+    elements.progressText = document.getElementById('progress-text');
+    elements.emptyState = document.getElementById('empty-state');
+    elements.table = document.getElementById('bulk-table');
+    elements.rows = document.getElementById('bulk-rows');
+    elements.selectAll = document.getElementById('select-all');
+    elements.addSelectedBtn = document.getElementById('add-selected-btn');
+    elements.closeBtn = document.getElementById('close-btn');
+  }
+
+  /**
+   * Initialize event listeners
+   */
+  function initEventListeners() {
+    elements.profileSelect.addEventListener('change', switchProfile);
+    elements.selectAll.addEventListener('change', () => {
+      for (const row of rows) {
+        if (!row.checkbox.disabled) {
+          row.checkbox.checked = elements.selectAll.checked;
+        }
+      }
+      updateAddButton();
+    });
+    elements.addSelectedBtn.addEventListener('click', addSelected);
+    elements.closeBtn.addEventListener('click', async () => {
+      const tab = await browser.tabs.getCurrent();
+      browser.tabs.remove(tab.id);
+    });
+  }
+
+  /**
+   * Load the active profile, false when the extension is not configured
+   */
+  async function loadConfig() {
+    config = await window.wishlistApi.getConfig();
+    profiles = await window.profiles.getAll();
+
+    if (!window.wishlistApi.isConfigured(config) || config.lists.length === 0) {
+      showEmptyState(__('configNeededMessage'));
+      return false;
+    }
+
+    populateProfileSelect();
+    populateListSelect();
+    return true;
+  }
+
+  /**
+   * Populate the profile selector, only shown when there are several profiles
+   */
+  function populateProfileSelect() {
+    elements.profileSelect.innerHTML = '';
+    elements.profileGroup.classList.toggle('hidden', profiles.length < 2);
+
+    for (const profile of profiles) {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = window.profiles.getLabel(profile);
+      elements.profileSelect.appendChild(option);
+    }
+
+    elements.profileSelect.value = config.profileId;
+  }
+
+  /**
+   * Populate the list selector, the default list first selected
+   */
+  function populateListSelect() {
+    elements.listSelect.innerHTML = '';
+
+    for (const list of config.lists) {
+      const option = document.createElement('option');
+      option.value = list.id;
+      option.textContent = window.wishlistApi.getListLabel(list);
+      elements.listSelect.appendChild(option);
+    }
+
+    if (config.defaultListId) {
+      elements.listSelect.value = config.defaultListId;
+    }
+  }
+
+  /**
+   * Use the lists of another profile
+   */
+  async function switchProfile() {
+    await window.profiles.setActive(elements.profileSelect.value);
+    config = await window.wishlistApi.getConfig();
+    populateListSelect();
+  }
+
+  /**
+   * Extract the product information of the tabs of the window, one after the other
+   */
+  async function readTabs() {
+    const current = await browser.tabs.getCurrent();
+    const tabs = (await browser.tabs.query({ currentWindow: true }))
+      .filter(tab => tab.id !== current.id && /^https?:/.test(tab.url));
+
+    if (tabs.length === 0) {
+      showEmptyState(__('bulkNoTabs'));
+      return;
+    }
+
+    elements.table.classList.remove('hidden');
+    busy = true;
+
+    for (const [index, tab] of tabs.entries()) {
+      setProgress(__('bulkReading', { current: index + 1, total: tabs.length }), index, tabs.length);
+
+      const row = createRow(true);
+      try {
+        row.data = await withTimeout(window.tabInfo.getPageInfo(tab.id), TAB_TIMEOUT_MS);
+      } catch (error) {
+        console.warn(`Could not read tab ${tab.id}:`, error);
+        row.data = { url: tab.url, title: tab.title, images: [] };
+        setRowStatus(row, 'warning', __('bulkNotRead'));
+      }
+      row.data.title = row.data.title || tab.title;
+      row.data.url = row.data.url || tab.url;
+      renderRow(row);
+    }
+
+    elements.progress.classList.add('hidden');
+    busy = false;
+    updateAddButton();
+  }
+
+  /**
+   * Extract the products listed on the page of a tab, none selected at first
+   */
+  async function readProducts(tabId) {
+    busy = true;
+    setProgress(__('bulkReadingProducts'), 0, 1);
+
+    let products = [];
+    try {
+      products = await withTimeout(window.tabInfo.getProductList(tabId), TAB_TIMEOUT_MS);
+    } catch (error) {
+      console.warn(`Could not read the products of tab ${tabId}:`, error);
+    }
+
+    elements.progress.classList.add('hidden');
+    busy = false;
+
+    if (products.length === 0) {
+      showEmptyState(__('bulkNoProducts'));
+      return;
+    }
+
+    elements.table.classList.remove('hidden');
+    elements.selectAll.checked = false;
+    for (const product of products) {
+      const row = createRow(false);
+      row.data = product;
+      renderRow(row);
+    }
+    updateAddButton();
+  }
+
+  /**
+   * Reject a promise that takes too long
+   */
+  function withTimeout(promise, ms) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('Timeout')), ms);
+      promise.then(resolve, reject).finally(() => clearTimeout(timer));
+    });
+  }
+
+  /**
+   * Create a table row, filled by renderRow() once its data is known
+   */
+  function createRow(checked) {
+    const element = document.createElement('tr');
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = checked;
+    checkbox.addEventListener('change', updateAddButton);
+
+    const titleInput = document.createElement('input');
+    titleInput.type = 'text';
+
+    const statusCell = document.createElement('td');
+    statusCell.className = 'col-status row-status';
+
+    const row = { data: null, checkbox, titleInput, status: null, statusCell, element };
+    rows.push(row);
+    return row;
+  }
+
+  /**
+   * Fill and append a row once its data has been read
+   */
+  function renderRow(row) {
+    const data = row.data;
+
+    const includeCell = document.createElement('td');
+    includeCell.className = 'col-include';
+    includeCell.appendChild(row.checkbox);
+
+    const imageCell = document.createElement('td');
+    imageCell.className = 'col-image';
+    const imageUrl = data.images && data.images[0];
+    if (imageUrl) {
+      const img = document.createElement('img');
+      img.src = imageUrl;
+      img.alt = '';
+      imageCell.appendChild(img);
+    } else {
+      const placeholder = document.createElement('div');
+      placeholder.className = 'no-thumbnail';
+      placeholder.textContent = '📦';
+      imageCell.appendChild(placeholder);
+    }
+
+    const titleCell = document.createElement('td');
+    row.titleInput.value = data.title || '';
+    const url = document.createElement('span');
+    url.className = 'row-url';
+    url.textContent = data.url;
+    url.title = url.textContent;
+    titleCell.append(row.titleInput, url);
+
+    const priceCell = document.createElement('td');
+    priceCell.className = 'col-price';
+    priceCell.textContent = typeof data.price === 'number' && data.price > 0 && data.currency
+      ? formatPrice(data.price, data.currency)
+      : '–';
+
+    row.element.append(includeCell, imageCell, titleCell, priceCell, row.statusCell);
+    elements.rows.appendChild(row.element);
+  }
+
+  /**
+   * Show the outcome of a row
+   * @param {string} status - 'warning', 'adding', 'added', 'queued' or 'failed'
+   */
+  function setRowStatus(row, status, message) {
+    row.status = status;
+    row.statusCell.className = `col-status row-status ${status}`;
+    row.statusCell.textContent = message;
+    row.statusCell.title = message;
+  }
+
+  /**
+   * Rows to add: checked, and not already sent
+   */
+  function getSelectedRows() {
+    return rows.filter(row => row.checkbox.checked && !row.checkbox.disabled);
+  }
+
+  /**
+   * Update the label and state of the add button
+   */
+  function updateAddButton() {
+    const count = getSelectedRows().length;
+    elements.addSelectedBtn.textContent = __('bulkAddSelected', { count });
+    elements.addSelectedBtn.disabled = busy || count === 0;
+  }
+
+  /**
+   * Add the selected rows to the chosen list, one after the other
+   */
+  async function addSelected() {
+    const selected = getSelectedRows();
+    const listId = elements.listSelect.value;
+    if (selected.length === 0 || !listId) return;
+
+    busy = true;
+    updateAddButton();
+    elements.listSelect.disabled = true;
+    elements.profileSelect.disabled = true;
+
+    const defaults = await window.listDefaults.get(config, listId);
+    const counts = { added: 0, queued: 0, failed: 0 };
+
+    for (const [index, row] of selected.entries()) {
+      setProgress(__('bulkAdding', { current: index + 1, total: selected.length }), index, selected.length);
+      setRowStatus(row, 'adding', __('adding'));
+
+      const itemData = window.itemBuilder.fromPageInfo(listId, { ...row.data, title: row.titleInput.value }, defaults);
+      const status = await addRow(row, itemData);
+      counts[status]++;
+    }
+
+    // Remember the list for the next time, unless nothing reached it
+    if (counts.added + counts.queued > 0) {
+      await window.profiles.update(config.profileId, { defaultListId: listId });
+    }
+
+    setProgress(__('bulkDone', counts), selected.length, selected.length);
+
+    busy = false;
+    elements.listSelect.disabled = false;
+    elements.profileSelect.disabled = false;
+    updateAddButton();
+  }
+
+  /**
+   * Send one row, queue it in the outbox if the server cannot be reached
+   * @returns {Promise<string>} 'added', 'queued' or 'failed'
+   */
+  async function addRow(row, itemData) {
+    try {
+      const result = await window.imageUpload.createItem(config, itemData);
+      await window.itemHistory.record(config, itemData, result);
+      setRowStatus(row, 'added', __('bulkAdded'));
+    } catch (error) {
+      console.error('Error while adding:', error);
+
+      if (!window.outbox.isRetryable(error)) {
+        setRowStatus(row, 'failed', window.wishlistApi.getErrorMessage(error));
+        return 'failed';
+      }
+
+      await window.outbox.enqueue(config, itemData, error);
+      setRowStatus(row, 'queued', __('bulkQueued'));
+    }
+
+    // Sent rows cannot be added a second time by mistake
+    row.checkbox.checked = false;
+    row.checkbox.disabled = true;
+    row.element.classList.add('done');
+    return row.status;
+  }
+
+  /**
+   * Show the progress bar with a message
+   */
+  function setProgress(message, value, max) {
+    elements.progress.classList.remove('hidden');
+    elements.progressBar.max = max;
+    elements.progressBar.value = value;
+    elements.progressText.textContent = message;
+  }
+
+  /**
+   * Show a message instead of the table
+   */
+  function showEmptyState(message) {
+    elements.emptyState.textContent = message;
+    elements.emptyState.classList.remove('hidden');
+    elements.table.classList.add('hidden');
+  }
+
+  /**
+   * Format a price with its currency
+   */
+  function formatPrice(value, currency) {
+    try {
+      const language = window.i18n ? window.i18n.getCurrentLanguage() : undefined;
+      return new Intl.NumberFormat(language, { style: 'currency', currency }).format(value);
+    } catch (e) {
+      return `${value} ${currency}`;
+    }
+  }
+})();
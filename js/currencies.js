@@ -0,0 +1,137 @@
+/**
+ * Currency data for Wishlist Quick Add
+ * ISO 4217 codes and country -> currency mapping, shared by the popup and the content scripts
+ */
+
+(function() {
+  'use strict';
+
+  // Active ISO 4217 currency codes
+  const CODES = [
+    'AED', 'AFN', 'ALL', 'AMD', 'ANG', 'AOA', 'ARS', 'AUD', 'AWG', 'AZN',
+    'BAM', 'BBD', 'BDT', 'BGN', 'BHD', 'BIF', 'BMD', 'BND', 'BOB', 'BRL',
+    'BSD', 'BTN', 'BWP', 'BYN', 'BZD', 'CAD', 'CDF', 'CHF', 'CLP', 'CNY',
+    'COP', 'CRC', 'CUP', 'CVE', 'CZK', 'DJF', 'DKK', 'DOP', 'DZD', 'EGP',
+    'ERN', 'ETB', 'EUR', 'FJD', 'FKP', 'GBP', 'GEL', 'GHS', 'GIP', 'GMD',
+    'GNF', 'GTQ', 'GYD', 'HKD', 'HNL', 'HTG', 'HUF', 'IDR', 'ILS', 'INR',
+    'IQD', 'IRR', 'ISK', 'JMD', 'JOD', 'JPY', 'KES', 'KGS', 'KHR', 'KMF',
+    'KPW', 'KRW', 'KWD', 'KYD', 'KZT', 'LAK', 'LBP', 'LKR', 'LRD', 'LSL',
+    'LYD', 'MAD', 'MDL', 'MGA', 'MKD', 'MMK', 'MNT', 'MOP', 'MRU', 'MUR',
+    'MVR', 'MWK', 'MXN', 'MYR', 'MZN', 'NAD', 'NGN', 'NIO', 'NOK', 'NPR',
+    'NZD', 'OMR', 'PAB', 'PEN', 'PGK', 'PHP', 'PKR', 'PLN', 'PYG', 'QAR',
+    'RON', 'RSD', 'RUB', 'RWF', 'SAR', 'SBD', 'SCR', 'SDG', 'SEK', 'SGD',
+    'SHP', 'SLE', 'SOS', 'SRD', 'SSP', 'STN', 'SVC', 'SYP', 'SZL', 'THB',
+    'TJS', 'TMT', 'TND', 'TOP', 'TRY', 'TTD', 'TWD', 'TZS', 'UAH', 'UGX',
+    'USD', 'UYU', 'UZS', 'VES', 'VND', 'VUV', 'WST', 'XAF', 'XCD', 'XOF',
+    'XPF', 'YER', 'ZAR', 'ZMW', 'ZWL'
+  ];
+
+  // ISO 3166 country code -> currency (used for locale regions and domain TLDs)
+  const COUNTRY_CURRENCIES = {
+    // Euro area
+    AT: 'EUR', BE: 'EUR', CY: 'EUR', DE: 'EUR', EE: 'EUR', ES: 'EUR', FI: 'EUR',
+    FR: 'EUR', GR: 'EUR', HR: 'EUR', IE: 'EUR', IT: 'EUR', LT: 'EUR', LU: 'EUR',
+    LV: 'EUR', MC: 'EUR', MT: 'EUR', NL: 'EUR', PT: 'EUR', SI: 'EUR', SK: 'EUR',
+    // Rest of Europe
+    GB: 'GBP', UK: 'GBP', CH: 'CHF', LI: 'CHF', SE: 'SEK', NO: 'NOK', DK: 'DKK',
+    IS: 'ISK', PL: 'PLN', CZ: 'CZK', HU: 'HUF', RO: 'RON', BG: 'BGN', RS: 'RSD',
+    BA: 'BAM', MK: 'MKD', AL: 'ALL', MD: 'MDL', UA: 'UAH', BY: 'BYN', RU: 'RUB',
+    TR: 'TRY', GE: 'GEL', AM: 'AMD', AZ: 'AZN',
+    // Americas
+    US: 'USD', CA: 'CAD', MX: 'MXN', BR: 'BRL', AR: 'ARS', CL: 'CLP', CO: 'COP',
+    PE: 'PEN', UY: 'UYU', PY: 'PYG', BO: 'BOB', VE: 'VES', CR: 'CRC', DO: 'DOP',
+    GT: 'GTQ', JM: 'JMD',
+    // Asia / Pacific
+    JP: 'JPY', CN: 'CNY', HK: 'HKD', MO: 'MOP', TW: 'TWD', KR: 'KRW', IN: 'INR',
+    PK: 'PKR', BD: 'BDT', LK: 'LKR', NP: 'NPR', SG: 'SGD', MY: 'MYR', TH: 'THB',
+    VN: 'VND', PH: 'PHP', ID: 'IDR', KH: 'KHR', MN: 'MNT', KZ: 'KZT', UZ: 'UZS',
+    AU: 'AUD', NZ: 'NZD', FJ: 'FJD',
+    // Middle East / Africa
+    IL: 'ILS', AE: 'AED', SA: 'SAR', QA: 'QAR', KW: 'KWD', BH: 'BHD', OM: 'OMR',
+    JO: 'JOD', LB: 'LBP', IQ: 'IQD', IR: 'IRR', EG: 'EGP', MA: 'MAD', DZ: 'DZD',
+    TN: 'TND', ZA: 'ZAR', NG: 'NGN', KE: 'KES', GH: 'GHS', TZ: 'TZS', UG: 'UGX',
+    ET: 'ETB', SN: 'XOF', CI: 'XOF', CM: 'XAF'
+  };
+
+  // Languages spoken (almost) only in one currency area, for locales without region ("ja", "sv")
+  const LANGUAGE_CURRENCIES = {
+    ja: 'JPY', ko: 'KRW', zh: 'CNY', sv: 'SEK', da: 'DKK', nb: 'NOK', nn: 'NOK',
+    no: 'NOK', is: 'ISK', pl: 'PLN', cs: 'CZK', hu: 'HUF', ro: 'RON', bg: 'BGN',
+    uk: 'UAH', ru: 'RUB', tr: 'TRY', he: 'ILS', th: 'THB', vi: 'VND', id: 'IDR',
+    hi: 'INR', fi: 'EUR', el: 'EUR', et: 'EUR', lv: 'EUR', lt: 'EUR', sk: 'EUR',
+    sl: 'EUR', hr: 'EUR'
+  };
+
+  /**
+   * Check whether a string is a known ISO 4217 code
+   */
+  function isValidCode(code) {
+    return typeof code === 'string' && CODES.includes(code.trim().toUpperCase());
+  }
+
+  /**
+   * Normalize a currency code ("eur " -> "EUR"), null if unknown
+   */
+  function normalizeCode(code) {
+    return isValidCode(code) ? code.trim().toUpperCase() : null;
+  }
+
+  /**
+   * Get the currency of a country (ISO 3166 alpha-2), or null
+   */
+  function fromCountry(country) {
+    if (!country) return null;
+    return COUNTRY_CURRENCIES[country.toUpperCase()] || null;
+  }
+
+  /**
+   * Get the currency of a locale ("de-CH" -> CHF, "sv" -> SEK), or null
+   */
+  function fromLocale(locale) {
+    if (!locale) return null;
+    const [language, ...subtags] = locale.trim().replace(/_/g, '-').split('-');
+    const region = subtags.find(tag => /^[a-z]{2}$/i.test(tag));
+
+    return fromCountry(region) || LANGUAGE_CURRENCIES[language.toLowerCase()] || null;
+  }
+
+  /**
+   * Get the display name of a currency ("CHF" -> "Swiss Franc")
+   */
+  function getName(code, language) {
+    try {
+      return new Intl.DisplayNames([language || 'en'], { type: 'currency' }).of(code);
+    } catch (e) {
+      return code;
+    }
+  }
+
+  /**
+   * Get the narrow symbol of a currency ("EUR" -> "€"), or the code itself
+   */
+  function getSymbol(code, language) {
+    try {
+      const parts = new Intl.NumberFormat(language || 'en', {
+        style: 'currency',
+        currency: code,
+        currencyDisplay: 'narrowSymbol'
+      }).formatToParts(0);
+      const symbol = parts.find(p => p.type === 'currency');
+      return symbol ? symbol.value : code;
+    } catch (e) {
+      return code;
+    }
+  }
+
+  // Export for use in other scripts
+  window.currencies = {
+    CODES,
+    COUNTRY_CURRENCIES,
+    isValidCode,
+    normalizeCode,
+    fromCountry,
+    fromLocale,
+    getName,
+    getSymbol
+  };
+})();
@@ -0,0 +1,134 @@
+/**
+ * Currency detector for Wishlist Quick Add
+ * Guesses the currency of a page from the text around the price, the domain TLD
+ * and the page language, when no structured data gives it
+ */
+
+(function() {
+  'use strict';
+
+  // Dollar signs with a country prefix
+  const PREFIXED_DOLLARS = [
+    ['US$', 'USD'], ['CA$', 'CAD'], ['C$', 'CAD'], ['AU$', 'AUD'], ['A$', 'AUD'],
+    ['NZ$', 'NZD'], ['HK$', 'HKD'], ['S$', 'SGD'], ['R$', 'BRL'], ['MX$', 'MXN'],
+    ['NT$', 'TWD']
+  ];
+
+  // Symbols used by a single currency
+  const SYMBOLS = [
+    ['€', 'EUR'], ['£', 'GBP'], ['₹', 'INR'], ['₩', 'KRW'], ['₽', 'RUB'],
+    ['₺', 'TRY'], ['₪', 'ILS'], ['฿', 'THB'], ['₫', 'VND'], ['₱', 'PHP'],
+    ['₴', 'UAH'], ['₦', 'NGN'], ['円', 'JPY'], ['元', 'CNY']
+  ];
+
+  // Letter symbols, only matched as whole words
+  const WORD_SYMBOLS = [
+    ['zł', 'PLN'], ['Kč', 'CZK'], ['Ft', 'HUF'], ['lei', 'RON'], ['лв', 'BGN'],
+    ['Rp', 'IDR'], ['RM', 'MYR'], ['Fr.', 'CHF'], ['SFr.', 'CHF'], ['руб', 'RUB']
+  ];
+
+  // Currencies written with a "$" sign
+  const DOLLAR_CURRENCIES = ['USD', 'CAD', 'AUD', 'NZD', 'SGD', 'HKD', 'MXN', 'TWD',
+    'ARS', 'CLP', 'COP', 'UYU', 'JMD', 'FJD'];
+
+  // Currencies written "kr"
+  const KRONA_CURRENCIES = ['SEK', 'NOK', 'DKK', 'ISK'];
+
+  // Country TLDs commonly used as generic domains
+  const GENERIC_TLDS = ['co', 'io', 'me', 'tv', 'ai', 'ly', 'fm', 'gg', 'to', 'cc', 'ws', 'la', 'sh', 'ac', 'am', 'so', 'st', 'vc'];
+
+  /**
+   * Escape a string for use in a regular expression
+   */
+  function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Get the country of a hostname from its TLD ("shop.co.uk" -> "GB", "example.com" -> null)
+   */
+  function countryFromHostname(hostname) {
+    if (!hostname) return null;
+    const labels = hostname.toLowerCase().split('.');
+    const tld = labels[labels.length - 1];
+
+    if (tld === 'uk') return 'GB';
+    if (tld.length !== 2 || GENERIC_TLDS.includes(tld)) return null;
+    return tld.toUpperCase();
+  }
+
+  /**
+   * Get the currency of a hostname ("example.ch" -> "CHF", "example.eu" -> "EUR")
+   */
+  function fromHostname(hostname) {
+    if (hostname && /\.eu$/i.test(hostname)) return 'EUR';
+    return window.currencies.fromCountry(countryFromHostname(hostname));
+  }
+
+  /**
+   * Find a currency in a displayed price ("CHF 49.90", "49,90 €", "US$12", "129 kr")
+   * @param {string} text - Text around the price
+   * @param {string|null} country - Country used to resolve ambiguous symbols ($, ¥, kr)
+   */
+  function fromText(text, country = null) {
+    if (!text) return null;
+    const localCurrency = window.currencies.fromCountry(country);
+
+    // ISO code right before or after a number
+    const codePattern = /([A-Z]{3})\s?(?=\d)|\d\s?([A-Z]{3})(?![A-Za-z])/g;
+    let match;
+    while ((match = codePattern.exec(text)) !== null) {
+      const code = window.currencies.normalizeCode(match[1] || match[2]);
+      if (code) return code;
+    }
+
+    for (const [symbol, currency] of PREFIXED_DOLLARS) {
+      if (new RegExp(`(^|[^A-Za-z])${escapeRegExp(symbol)}`).test(text)) return currency;
+    }
+
+    for (const [symbol, currency] of SYMBOLS) {
+      if (text.includes(symbol)) return currency;
+    }
+
+    for (const [symbol, currency] of WORD_SYMBOLS) {
+      if (new RegExp(`(^|[^\\p{L}])${escapeRegExp(symbol)}(?![\\p{L}])`, 'u').test(text)) return currency;
+    }
+
+    // Ambiguous symbols, resolved with the country
+    if (text.includes('$')) {
+      return DOLLAR_CURRENCIES.includes(localCurrency) ? localCurrency : 'USD';
+    }
+    if (text.includes('¥') || text.includes('￥')) {
+      return localCurrency === 'CNY' ? 'CNY' : 'JPY';
+    }
+    if (/(^|[^\p{L}])kr\.?(?![\p{L}])/iu.test(text)) {
+      return KRONA_CURRENCIES.includes(localCurrency) ? localCurrency : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Detect the currency of a page
+   * @param {Object} context - { text: price text, locale: page language, hostname }
+   * @returns {string|null} ISO 4217 code
+   */
+  function detect({ text = '', locale = null, hostname = '' } = {}) {
+    const tldCountry = countryFromHostname(hostname);
+    const localeRegion = locale
+      ? locale.replace(/_/g, '-').split('-').slice(1).find(tag => /^[a-z]{2}$/i.test(tag))
+      : null;
+
+    return fromText(text, tldCountry || localeRegion) ||
+           fromHostname(hostname) ||
+           window.currencies.fromLocale(locale);
+  }
+
+  // Export for use in other content scripts
+  window.currencyDetector = {
+    detect,
+    fromText,
+    fromHostname,
+    countryFromHostname
+  };
+})();
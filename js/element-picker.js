@@ -0,0 +1,208 @@
+/**
+ * Element picker for Wishlist Quick Add
+ * Lets the user point at the element holding a field (title, price, image) on the page:
+ * the element under the mouse is highlighted, a click picks it, Escape cancels
+ */
+
+(function() {
+  'use strict';
+
+  // Above anything the page may show
+  const Z_INDEX = '2147483647';
+
+  // Mouse events the page must not receive while picking (links, menus, galleries...)
+  const BLOCKED_EVENTS = ['mousedown', 'mouseup', 'pointerdown', 'pointerup', 'dblclick', 'contextmenu'];
+
+  // Tags a price is split into ("12" "," "99" "€")
+  const PRICE_PART_TAGS = ['span', 'sup', 'sub', 'small', 'b', 'strong', 'em', 'i', 'ins', 'del'];
+
+  // Picker in progress, to cancel it when another one starts
+  let active = null;
+
+  /**
+   * Let the user pick an element
+   * @param {Object} options - { field: 'title' | 'price' | 'image', message: banner text }
+   * @returns {Promise<Element|null>} The picked element, null if cancelled
+   */
+  function pick({ field, message }) {
+    if (active) active.finish(null);
+
+    return new Promise(resolve => {
+      const highlight = createOverlay(`
+        position: fixed; pointer-events: none; z-index: ${Z_INDEX};
+        border: 2px solid #5c6bc0; background: rgba(92, 107, 192, 0.15);
+        border-radius: 3px; display: none;
+      `);
+      const banner = createOverlay(`
+        position: fixed; top: 12px; left: 50%; transform: translateX(-50%);
+        pointer-events: none; z-index: ${Z_INDEX};
+        padding: 8px 14px; border-radius: 6px; background: #5c6bc0; color: #fff;
+        font: 14px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+      `);
+      banner.textContent = message;
+
+      let target = null;
+
+      const reposition = () => {
+        if (!target) {
+          highlight.style.display = 'none';
+          return;
+        }
+        const rect = target.getBoundingClientRect();
+        Object.assign(highlight.style, {
+          display: 'block',
+          top: `${rect.top - 2}px`,
+          left: `${rect.left - 2}px`,
+          width: `${rect.width + 4}px`,
+          height: `${rect.height + 4}px`
+        });
+      };
+
+      const onMove = (event) => {
+        target = getTarget(field, event.target);
+        reposition();
+      };
+
+      const block = (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+      };
+
+      const onClick = (event) => {
+        block(event);
+        finish(getTarget(field, event.target));
+      };
+
+      const onKey = (event) => {
+        if (event.key === 'Escape') {
+          block(event);
+          finish(null);
+        }
+      };
+
+      const finish = (element) => {
+        document.removeEventListener('mousemove', onMove, true);
+        document.removeEventListener('click', onClick, true);
+        document.removeEventListener('keydown', onKey, true);
+        window.removeEventListener('scroll', reposition, true);
+        for (const type of BLOCKED_EVENTS) {
+          document.removeEventListener(type, block, true);
+        }
+        highlight.remove();
+        banner.remove();
+        active = null;
+        resolve(element);
+      };
+
+      document.addEventListener('mousemove', onMove, true);
+      document.addEventListener('click', onClick, true);
+      document.addEventListener('keydown', onKey, true);
+      window.addEventListener('scroll', reposition, true);
+      for (const type of BLOCKED_EVENTS) {
+        document.addEventListener(type, block, true);
+      }
+      active = { finish };
+    });
+  }
+
+  /**
+   * Create an element of the picker, outside the page layout
+   */
+  function createOverlay(cssText) {
+    const element = document.createElement('div');
+    element.style.cssText = cssText;
+    document.documentElement.appendChild(element);
+    return element;
+  }
+
+  /**
+   * Get the element that holds the field around the one under the mouse
+   * Images: the image inside a link or a wrapper; prices: the whole price when it is split into parts
+   */
+  function getTarget(field, element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) return null;
+
+    if (field === 'image' && element.localName !== 'img') {
+      return element.querySelector('img') || element;
+    }
+
+    if (field === 'price') {
+      let target = element;
+      for (let i = 0; i < 3; i++) {
+        const parent = target.parentElement;
+        if (!parent || parent === document.body || parent.textContent.trim().length > 30) break;
+        if (!Array.from(parent.children).every(child => PRICE_PART_TAGS.includes(child.localName))) break;
+        target = parent;
+      }
+      return target;
+    }
+
+    return element;
+  }
+
+  /**
+   * Check whether an id or a class looks stable across pages (not generated: "ember123", "css-1x2y3z")
+   */
+  function isStableName(name) {
+    return /^[a-zA-Z][\w-]*$/.test(name) && !/\d{3,}/.test(name) && !/^css-/.test(name);
+  }
+
+  /**
+   * Build a CSS selector matching only this element, as short as possible
+   * It holds at least one stable id or class so it also finds the element on the other pages of the site
+   */
+  function getSelector(element) {
+    const parts = [];
+    let current = element;
+
+    while (current && current.nodeType === Node.ELEMENT_NODE && current !== document.documentElement) {
+      if (current.id && isStableName(current.id)) {
+        parts.unshift(`#${CSS.escape(current.id)}`);
+      } else {
+        let part = current.localName;
+        const classes = Array.from(current.classList).filter(isStableName).slice(0, 2);
+        part += classes.map(name => `.${CSS.escape(name)}`).join('');
+
+        const parent = current.parentElement;
+        if (parent) {
+          const sameTag = Array.from(parent.children).filter(child => child.localName === current.localName);
+          const similar = sameTag.filter(child => child.matches(part));
+          if (similar.length > 1) {
+            part += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+          }
+        }
+        parts.unshift(part);
+      }
+
+      const selector = parts.join(' > ');
+      if (/[#.]/.test(selector) && document.querySelectorAll(selector).length === 1) return selector;
+      if (parts[0].startsWith('#')) break;
+
+      current = current.parentElement;
+    }
+
+    return parts.join(' > ');
+  }
+
+  /**
+   * Show a short message at the bottom of the page
+   */
+  function showToast(message) {
+    const toast = createOverlay(`
+      position: fixed; bottom: 20px; right: 20px; z-index: ${Z_INDEX};
+      padding: 10px 14px; border-radius: 6px; background: #333; color: #fff;
+      font: 14px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+      box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3); max-width: 320px;
+    `);
+    toast.textContent = message;
+    setTimeout(() => toast.remove(), 5000);
+  }
+
+  // Export for the content script
+  window.elementPicker = {
+    pick,
+    getSelector,
+    showToast
+  };
+})();
@@ -0,0 +1,213 @@
+/**
+ * Per-domain extraction rules for Wishlist Quick Add
+ * Tell the PageParser where to read the fields the generic extraction gets wrong on a site;
+ * they are written in the options or saved with the element picker, and read before the parser's own heuristics
+ *
+ * Stored in `extractionRules`:
+ * [{
+ *   domain: 'shop.example.com',                      // hostname pattern, * is a wildcard, subdomains match
+ *   fields: {
+ *     price: {
+ *       selector: '.product-price',                   // CSS selector of the element (the page text when empty)
+ *       attribute: 'data-price',                      // attribute to read instead of the text (optional)
+ *       regex: 'Now (\\d+,\\d+)'                      // regular expression on the value, 1st group kept (optional)
+ *     },
+ *     ...                                             // title, price, currency, image, description
+ *   }
+ * }]
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'extractionRules';
+
+  // Fields a rule can define
+  const FIELDS = ['title', 'price', 'currency', 'image', 'description'];
+
+  // Properties of a field rule
+  const FIELD_OPTIONS = ['selector', 'attribute', 'regex'];
+
+  /**
+   * Get all rules
+   */
+  async function getAll() {
+    const result = await browser.storage.local.get(STORAGE_KEY);
+    return result[STORAGE_KEY] || [];
+  }
+
+  /**
+   * Save all rules
+   */
+  async function saveAll(rules) {
+    await browser.storage.local.set({ [STORAGE_KEY]: rules });
+  }
+
+  /**
+   * Get the domain a rule is saved for ("www." is dropped to cover the whole site)
+   */
+  function getDomain(hostname) {
+    return hostname.toLowerCase().replace(/^www\./, '');
+  }
+
+  /**
+   * Check whether a hostname matches a domain pattern ("shop.*" matches "www.shop.fr")
+   */
+  function matchesDomain(pattern, hostname) {
+    if (!pattern) return false;
+    const escaped = pattern.trim().toLowerCase()
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*');
+    return new RegExp(`(^|\\.)${escaped}$`).test(hostname.toLowerCase());
+  }
+
+  /**
+   * Find the rule of a hostname
+   * Every matching rule counts, the fields of the most specific domain win
+   * @returns {Object|null} { domain, fields }
+   */
+  function find(rules, hostname) {
+    const matching = rules
+      .filter(rule => matchesDomain(rule.domain, hostname))
+      .sort((a, b) => a.domain.length - b.domain.length);
+    if (matching.length === 0) return null;
+
+    return {
+      domain: matching[matching.length - 1].domain,
+      fields: Object.assign({}, ...matching.map(rule => rule.fields))
+    };
+  }
+
+  /**
+   * Get the rule of a hostname, or null
+   */
+  async function getForHostname(hostname) {
+    return find(await getAll(), hostname);
+  }
+
+  /**
+   * Remember how to read a field on a site
+   * @param {string} hostname - Hostname of the page the element was picked on
+   * @param {string} field - One of FIELDS
+   * @param {Object} value - { selector, attribute, regex }
+   */
+  async function saveField(hostname, field, value) {
+    const rules = await getAll();
+    const domain = getDomain(hostname);
+
+    let rule = rules.find(r => r.domain === domain);
+    if (!rule) {
+      rule = { domain, fields: {} };
+      rules.push(rule);
+    }
+    rule.fields[field] = value;
+
+    await saveAll(rules);
+    return rule;
+  }
+
+  /**
+   * Keep the known properties of a rule, without empty values
+   * @returns {Object|null} The rule, null when it has no domain
+   */
+  function normalizeRule(rule) {
+    if (!rule || typeof rule.domain !== 'string' || !rule.domain.trim()) return null;
+
+    const fields = {};
+    for (const field of FIELDS) {
+      const source = rule.fields && rule.fields[field];
+      if (!source) continue;
+
+      const fieldRule = {};
+      for (const option of FIELD_OPTIONS) {
+        if (typeof source[option] === 'string' && source[option].trim()) {
+          fieldRule[option] = source[option].trim();
+        }
+      }
+      if (fieldRule.selector || fieldRule.regex) {
+        fields[field] = fieldRule;
+      }
+    }
+
+    return { domain: rule.domain.trim().toLowerCase(), fields };
+  }
+
+  /**
+   * Check a rule set, returns the error messages
+   * Selectors are checked against a document when one is available (options page)
+   */
+  function validateRules(rules) {
+    const errors = [];
+    for (const rule of rules) {
+      if (!rule.domain) {
+        errors.push('?: domain');
+        continue;
+      }
+      for (const [field, fieldRule] of Object.entries(rule.fields)) {
+        try {
+          if (fieldRule.regex) new RegExp(fieldRule.regex);
+          if (fieldRule.selector && typeof document !== 'undefined') {
+            document.createDocumentFragment().querySelector(fieldRule.selector);
+          }
+        } catch (e) {
+          errors.push(`${rule.domain} (${field}): ${e.message}`);
+        }
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Serialize rules to share them
+   */
+  function exportRules(rules) {
+    return JSON.stringify({ [STORAGE_KEY]: rules }, null, 2);
+  }
+
+  /**
+   * Read shared rules, exported by exportRules() or written by hand as an array
+   * @throws {Error} When the text is not a rule set
+   */
+  function parseImport(text) {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : data && data[STORAGE_KEY];
+    if (!Array.isArray(list)) {
+      throw new Error(`No ${STORAGE_KEY} array`);
+    }
+    return list.map(normalizeRule).filter(Boolean);
+  }
+
+  /**
+   * Add imported rules to the current ones, the imported fields replace those of the same domain
+   */
+  function mergeRules(current, imported) {
+    const merged = current.map(rule => ({ domain: rule.domain, fields: { ...rule.fields } }));
+    for (const rule of imported) {
+      const existing = merged.find(r => r.domain === rule.domain);
+      if (existing) {
+        Object.assign(existing.fields, rule.fields);
+      } else {
+        merged.push(rule);
+      }
+    }
+    return merged;
+  }
+
+  // Export for use in other scripts
+  window.extractionRules = {
+    STORAGE_KEY,
+    FIELDS,
+    getAll,
+    saveAll,
+    getDomain,
+    matchesDomain,
+    find,
+    getForHostname,
+    saveField,
+    normalizeRule,
+    validateRules,
+    exportRules,
+    parseImport,
+    mergeRules
+  };
+})();
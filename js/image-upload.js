@@ -0,0 +1,190 @@
+/**
+ * Image upload for Wishlist Quick Add
+ * Sends the chosen image as a file with the item instead of a link to the shop's copy,
+ * which breaks when the shop renames its images or blocks hotlinking
+ */
+
+(function() {
+  'use strict';
+
+  const SETTINGS_KEY = 'imageUpload';
+
+  const DEFAULT_SETTINGS = {
+    enabled: false,
+    // Longest side of the uploaded image in pixels, 0 to send the original file
+    maxSize: 1200
+  };
+
+  // Sizes offered in the options
+  const MAX_SIZES = [0, 2000, 1200, 800];
+
+  // Quality of the resized images (JPEG)
+  const JPEG_QUALITY = 0.85;
+
+  // Statuses of a server that does not take the file (older API, file too large, unknown format)
+  const UPLOAD_REFUSED_STATUSES = [405, 413, 415, 501];
+
+  // A 400 is about the file only when its message says so, otherwise another field was refused
+  const IMAGE_ERROR_PATTERN = /image|file|upload|multipart/i;
+
+  /**
+   * Get the upload settings
+   */
+  async function getSettings() {
+    const result = await browser.storage.local.get(SETTINGS_KEY);
+    return { ...DEFAULT_SETTINGS, ...result[SETTINGS_KEY] };
+  }
+
+  /**
+   * Save the upload settings
+   */
+  async function saveSettings(settings) {
+    await browser.storage.local.set({ [SETTINGS_KEY]: { ...DEFAULT_SETTINGS, ...settings } });
+  }
+
+  /**
+   * Download an image
+   */
+  async function fetchImage(url) {
+    const response = await fetch(url, { credentials: 'omit' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const blob = await response.blob();
+    if (!blob.type.startsWith('image/')) {
+      throw new Error(`Not an image: ${blob.type || 'unknown type'}`);
+    }
+    return blob;
+  }
+
+  /**
+   * Scale an image down so its longest side is at most maxSize, as a JPEG
+   * Smaller images, animations and vector images are kept as they are
+   */
+  async function resize(blob, maxSize) {
+    if (!maxSize || blob.type === 'image/gif' || blob.type === 'image/svg+xml') return blob;
+
+    const bitmap = await createImageBitmap(blob);
+    const scale = maxSize / Math.max(bitmap.width, bitmap.height);
+    if (scale >= 1) {
+      bitmap.close();
+      return blob;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    const context = canvas.getContext('2d');
+    // JPEG has no transparency, transparent backgrounds would turn black
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(
+        result => (result ? resolve(result) : reject(new Error('Could not encode the image'))),
+        'image/jpeg',
+        JPEG_QUALITY
+      );
+    });
+  }
+
+  /**
+   * Name the uploaded file after the image URL ("B0C1X2_AC_SL1500.jpg")
+   */
+  function getFilename(url, type) {
+    const extension = (type.split('/')[1] || 'jpg').replace('jpeg', 'jpg').replace('svg+xml', 'svg');
+    let name = '';
+    try {
+      if (!url.startsWith('data:')) {
+        name = decodeURIComponent(new URL(url).pathname.split('/').pop()).replace(/\.[^.]*$/, '');
+      }
+    } catch (error) {
+      // Malformed paths keep the default name
+    }
+    name = name.replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 60);
+    return `${name || 'image'}.${extension}`;
+  }
+
+  /**
+   * Download and resize the image of an item
+   * @returns {Promise<Object>} { blob, filename }
+   */
+  async function prepareImage(url, maxSize) {
+    const blob = await resize(await fetchImage(url), maxSize);
+    return { blob, filename: getFilename(url, blob.type) };
+  }
+
+  /**
+   * Check whether the server refused the image file rather than the item
+   */
+  function isImageRefused(error) {
+    if (!(error instanceof window.wishlistApi.ApiError)) return false;
+    if (error.status === 400) return IMAGE_ERROR_PATTERN.test(error.message);
+    return UPLOAD_REFUSED_STATUSES.includes(error.status);
+  }
+
+  /**
+   * Send item fields, with their image uploaded as a file when the option is on
+   * Pasted, dropped and captured images (data: URLs) have nothing to link to, they are always uploaded
+   * The image URL is sent instead when the image cannot be downloaded or the server does not take files,
+   * a data: URL is then left out rather than sent as megabytes of text
+   * @param {Function} send - (data, image) => API request
+   */
+  async function sendWithImage(data, send) {
+    const settings = await getSettings();
+    const imageUrl = data.imageUrl || '';
+    const isDataUrl = imageUrl.startsWith('data:');
+    // The file replaces a data: URL, a web URL is kept to tell where the image comes from
+    const fields = isDataUrl ? { ...data, imageUrl: null } : data;
+
+    if (!isDataUrl && !(settings.enabled && /^https?:/.test(imageUrl))) {
+      return send(data);
+    }
+
+    let image;
+    try {
+      image = await prepareImage(imageUrl, settings.maxSize);
+    } catch (error) {
+      console.warn('Could not download the image, sending its URL:', error);
+      return send(fields);
+    }
+
+    try {
+      return await send(fields, image);
+    } catch (error) {
+      if (!isImageRefused(error)) {
+        throw error;
+      }
+      console.warn('The server did not take the image file, sending its URL:', error);
+      return send(fields);
+    }
+  }
+
+  /**
+   * Create an item, see sendWithImage()
+   */
+  async function createItem(config, itemData) {
+    return sendWithImage(itemData, (data, image) => window.wishlistApi.createItem(config, data, image));
+  }
+
+  /**
+   * Update some fields of an item, a new image is uploaded like in createItem()
+   */
+  async function updateItem(config, itemId, changes) {
+    return sendWithImage(changes, (data, image) => window.wishlistApi.updateItem(config, itemId, data, image));
+  }
+
+  // Export for use in other scripts
+  window.imageUpload = {
+    MAX_SIZES,
+    getSettings,
+    saveSettings,
+    resize,
+    prepareImage,
+    createItem,
+    updateItem
+  };
+})();
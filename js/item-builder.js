@@ -0,0 +1,47 @@
+/**
+ * Item payloads for Wishlist Quick Add
+ * Turns the information extracted from a page into the data sent to the API,
+ * for the additions made without the popup form (context menu, shortcut, bulk capture)
+ */
+
+(function() {
+  'use strict';
+
+  /**
+   * Build the API payload from extracted page data and the defaults of the list
+   * @param {string} listId - Destination list
+   * @param {Object} data - Page information ({ url, title, description, images, price, currency, variant })
+   * @param {Object} defaults - Values remembered for the list ({ quantity, mostWanted })
+   */
+  function fromPageInfo(listId, data, defaults) {
+    const noteLines = [];
+    if (data.variant && data.variant.options && data.variant.options.length > 0) {
+      noteLines.push(data.variant.options.map(option => `${option.name}: ${option.value}`).join(', '));
+    }
+    if (data.description) {
+      noteLines.push(data.description);
+    }
+
+    const itemData = {
+      listId,
+      name: (data.title || data.url || '').trim(),
+      url: window.urlCleaner.clean(data.url),
+      note: noteLines.join('\n') || null,
+      imageUrl: (data.images && data.images[0]) || null,
+      quantity: defaults.quantity,
+      mostWanted: defaults.mostWanted
+    };
+
+    if (typeof data.price === 'number' && data.price > 0 && data.currency) {
+      itemData.price = data.price;
+      itemData.currency = data.currency;
+    }
+
+    return itemData;
+  }
+
+  // Export for use in other scripts
+  window.itemBuilder = {
+    fromPageInfo
+  };
+})();
@@ -0,0 +1,141 @@
+/**
+ * History of the items added through the extension
+ * A local index used to find duplicates when the server cannot list the items of a list,
+ * and the items followed by the price tracker
+ *
+ * An entry is:
+ * { profileId, itemId, listId, url, name, price, currency, addedAt }
+ * and, once the price tracker checked it:
+ * { lastCheckedAt, currentPrice, notifiedPrice, checkError }
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'addedItems';
+
+  // Oldest entries are dropped beyond this size
+  const MAX_ENTRIES = 1000;
+
+  /**
+   * Get all entries, most recent first
+   */
+  async function getAll() {
+    const result = await browser.storage.local.get(STORAGE_KEY);
+    return result[STORAGE_KEY] || [];
+  }
+
+  /**
+   * Save the entries
+   */
+  async function save(entries) {
+    await browser.storage.local.set({ [STORAGE_KEY]: entries.slice(0, MAX_ENTRIES) });
+  }
+
+  /**
+   * Check whether an entry belongs to the profile of a config
+   */
+  function isFromProfile(entry, config) {
+    return entry.profileId === config.profileId;
+  }
+
+  /**
+   * Record an item that has just been created
+   * @param {Object} config - Connection settings of the profile the item was sent to
+   * @param {Object} itemData - Data sent to the API
+   * @param {Object} result - Response of the API
+   */
+  async function record(config, itemData, result) {
+    const entries = await getAll();
+    entries.unshift({
+      profileId: config.profileId,
+      itemId: window.wishlistApi.getItemId(result),
+      listId: itemData.listId,
+      url: itemData.url,
+      name: itemData.name,
+      price: itemData.price != null ? itemData.price : null,
+      currency: itemData.currency || null,
+      addedAt: Date.now()
+    });
+    await save(entries);
+  }
+
+  /**
+   * Update the recorded data of an item
+   */
+  async function update(config, itemId, changes) {
+    const entries = await getAll();
+    const entry = entries.find(e => e.itemId === itemId && isFromProfile(e, config));
+    if (!entry) return;
+
+    Object.assign(entry, changes);
+    await save(entries);
+  }
+
+  /**
+   * Update an entry returned by getAll() (entries queued offline may have no itemId)
+   */
+  async function updateEntry(entry, changes) {
+    const entries = await getAll();
+    const current = entries.find(e => e.addedAt === entry.addedAt && e.url === entry.url);
+    if (!current) return;
+
+    Object.assign(current, changes);
+    await save(entries);
+  }
+
+  /**
+   * Forget an item (deleted from the server)
+   */
+  async function remove(config, itemId) {
+    const entries = await getAll();
+    await save(entries.filter(e => e.itemId !== itemId || !isFromProfile(e, config)));
+  }
+
+  /**
+   * Find an item with the same product URL in a list
+   * Asks the server first and falls back to the local history when it cannot answer
+   * @returns {Promise<Object|null>} The item of the server (id, name, url, price, currency, note, imageUrl,
+   *   quantity...) or, from the local history, { id, name, url, price, currency }, with its listId
+   */
+  async function findInList(config, listId, url) {
+    if (!url) return null;
+
+    try {
+      const items = await window.wishlistApi.fetchListItems(config, listId);
+      const item = items.find(i => window.urlCleaner.isSameProduct(i.url, url));
+      return item ? { ...item, listId } : null;
+    } catch (error) {
+      console.warn('Could not fetch the items of the list, using the local history:', error);
+    }
+
+    const entry = (await getAll()).find(e => isFromProfile(e, config) && e.listId === listId &&
+      window.urlCleaner.isSameProduct(e.url, url));
+    return entry
+      ? { id: entry.itemId, name: entry.name, url: entry.url, price: entry.price, currency: entry.currency, listId }
+      : null;
+  }
+
+  /**
+   * Find the items with the same product URL on any of the cached lists
+   * @returns {Promise<Array>} Matches, in the order of the lists
+   */
+  async function findInLists(config, url) {
+    if (!url) return [];
+
+    const matches = await Promise.all(config.lists.map(list => findInList(config, list.id, url)));
+    return matches.filter(Boolean);
+  }
+
+  // Export for use in other scripts
+  window.itemHistory = {
+    STORAGE_KEY,
+    getAll,
+    record,
+    update,
+    updateEntry,
+    remove,
+    findInList,
+    findInLists
+  };
+})();
@@ -0,0 +1,55 @@
+/**
+ * Per-list defaults for Wishlist Quick Add
+ * Remembers the quantity and most-wanted flag last used on each list,
+ * so the popup and the quick add start from them
+ *
+ * Stored in `listDefaults`: { ['profileId/listId']: { quantity, mostWanted } }
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'listDefaults';
+
+  const DEFAULTS = {
+    quantity: 1,
+    mostWanted: false
+  };
+
+  /**
+   * Get the storage key of a list (list ids are only unique on their server)
+   */
+  function getKey(config, listId) {
+    return `${config.profileId}/${listId}`;
+  }
+
+  /**
+   * Get the defaults of a list
+   */
+  async function get(config, listId) {
+    const result = await browser.storage.local.get(STORAGE_KEY);
+    const all = result[STORAGE_KEY] || {};
+    return { ...DEFAULTS, ...all[getKey(config, listId)] };
+  }
+
+  /**
+   * Remember the values used on a list
+   */
+  async function remember(config, listId, values) {
+    const result = await browser.storage.local.get(STORAGE_KEY);
+    const all = result[STORAGE_KEY] || {};
+    all[getKey(config, listId)] = {
+      quantity: values.quantity || DEFAULTS.quantity,
+      mostWanted: Boolean(values.mostWanted)
+    };
+    await browser.storage.local.set({ [STORAGE_KEY]: all });
+  }
+
+  // Export for use in other scripts
+  window.listDefaults = {
+    STORAGE_KEY,
+    DEFAULTS,
+    get,
+    remember
+  };
+})();
@@ -1,15 +1,31 @@
 /**
  * Options page script for Wishlist Quick Add
- * Supports authentication via login/password or API key
+ * Supports authentication via login/password or API key, one connection per profile
  */
 
 (function() {
   'use strict';
 
   // State
+  let profiles = [];
+  let profile = null;
   let lists = [];
   let apiKeyVisible = false;
   let connectedUser = null;
+  let outboxEntries = [];
+  let editingOutboxId = null;
+
+  // Price check frequencies offered, in hours
+  const PRICE_CHECK_INTERVALS = [6, 12, 24, 72];
+
+  // Labels of the fields of an extraction rule
+  const EXTRACTION_FIELD_LABELS = {
+    title: 'ruleFieldTitle',
+    price: 'ruleFieldPrice',
+    currency: 'ruleFieldCurrency',
+    image: 'ruleFieldImage',
+    description: 'ruleFieldDescription'
+  };
 
   // DOM elements
   const elements = {};
@@ -45,6 +61,10 @@
    * Initialize references to elements
    */
   function initElements() {
+    elements.profileSelect = document.getElementById('profile-select');
+    elements.profileName = document.getElementById('profile-name');
+    elements.addProfileBtn = document.getElementById('add-profile-btn');
+    elements.deleteProfileBtn = document.getElementById('delete-profile-btn');
     elements.serverUrl = document.getElementById('server-url');
     elements.apiKey = document.getElementById('api-key');
     elements.toggleKeyBtn = document.getElementById('toggle-key-btn');
@@ -55,6 +75,46 @@
     elements.openAccountLink = document.getElementById('open-account-link');
     elements.statusMessage = document.getElementById('status-message');
     
+    // Outbox elements
+    elements.outboxSection = document.getElementById('outbox-section');
+    elements.outboxContainer = document.getElementById('outbox-container');
+    elements.outboxCount = document.getElementById('outbox-count');
+    elements.retryAllBtn = document.getElementById('retry-all-btn');
+    elements.outboxStatus = document.getElementById('outbox-status');
+    
+    // URL cleaning elements
+    elements.urlRulesContainer = document.getElementById('url-rules-container');
+    elements.addUrlRuleBtn = document.getElementById('add-url-rule-btn');
+    elements.trackingParams = document.getElementById('tracking-params');
+    elements.urlTest = document.getElementById('url-test');
+    elements.urlTestResult = document.getElementById('url-test-result');
+    elements.saveUrlRulesBtn = document.getElementById('save-url-rules-btn');
+    elements.resetUrlRulesBtn = document.getElementById('reset-url-rules-btn');
+    elements.urlRulesStatus = document.getElementById('url-rules-status');
+    
+    // Extraction rules elements
+    elements.extractionRulesContainer = document.getElementById('extraction-rules-container');
+    elements.extractionRulesCount = document.getElementById('extraction-rules-count');
+    elements.addExtractionRuleBtn = document.getElementById('add-extraction-rule-btn');
+    elements.saveExtractionRulesBtn = document.getElementById('save-extraction-rules-btn');
+    elements.exportExtractionRulesBtn = document.getElementById('export-extraction-rules-btn');
+    elements.importExtractionRulesBtn = document.getElementById('import-extraction-rules-btn');
+    elements.importExtractionRulesFile = document.getElementById('import-extraction-rules-file');
+    elements.extractionRulesStatus = document.getElementById('extraction-rules-status');
+    
+    // Image upload elements
+    elements.imageUploadEnabled = document.getElementById('image-upload-enabled');
+    elements.imageMaxSize = document.getElementById('image-max-size');
+    elements.imageUploadStatus = document.getElementById('image-upload-status');
+    
+    // Price tracking elements
+    elements.trackedCount = document.getElementById('tracked-count');
+    elements.priceTrackingEnabled = document.getElementById('price-tracking-enabled');
+    elements.priceCheckInterval = document.getElementById('price-check-interval');
+    elements.priceUpdateServer = document.getElementById('price-update-server');
+    elements.checkPricesBtn = document.getElementById('check-prices-btn');
+    elements.priceTrackingStatus = document.getElementById('price-tracking-status');
+    
     // Login elements
     elements.loginSection = document.getElementById('login-section');
     elements.apikeySection = document.getElementById('apikey-section');
@@ -72,6 +132,12 @@
    * Initialize event listeners
    */
   function initEventListeners() {
+    // Profiles
+    elements.profileSelect.addEventListener('change', switchProfile);
+    elements.profileName.addEventListener('change', renameProfile);
+    elements.addProfileBtn.addEventListener('click', addProfile);
+    elements.deleteProfileBtn.addEventListener('click', deleteProfile);
+    
     elements.saveBtn.addEventListener('click', saveAndConnect);
     elements.toggleKeyBtn.addEventListener('click', toggleApiKeyVisibility);
     elements.openAccountLink.addEventListener('click', openAccountPage);
@@ -87,6 +153,61 @@
     elements.password.addEventListener('keypress', (e) => {
       if (e.key === 'Enter') handleLogin();
     });
+    
+    // Outbox
+    elements.retryAllBtn.addEventListener('click', () => retryOutbox(null));
+    elements.outboxContainer.addEventListener('click', handleOutboxAction);
+    browser.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && window.outbox.STORAGE_KEY in changes) {
+        outboxEntries = changes[window.outbox.STORAGE_KEY].newValue || [];
+        // Don't lose the changes being typed
+        if (!editingOutboxId) renderOutbox();
+      }
+    });
+    
+    // URL cleaning
+    elements.addUrlRuleBtn.addEventListener('click', () => {
+      elements.urlRulesContainer.appendChild(createUrlRuleRow({ name: '', host: '', path: '', replace: '', keepParams: null }));
+    });
+    elements.urlRulesContainer.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action="delete-rule"]');
+      if (button) {
+        button.closest('.url-rule').remove();
+        updateUrlTest();
+      }
+    });
+    elements.urlRulesContainer.addEventListener('input', updateUrlTest);
+    elements.trackingParams.addEventListener('input', updateUrlTest);
+    elements.urlTest.addEventListener('input', updateUrlTest);
+    elements.saveUrlRulesBtn.addEventListener('click', saveUrlRules);
+    elements.resetUrlRulesBtn.addEventListener('click', resetUrlRules);
+    
+    // Extraction rules
+    elements.addExtractionRuleBtn.addEventListener('click', () => {
+      const row = createExtractionRuleRow({ domain: '', fields: {} });
+      elements.extractionRulesContainer.appendChild(row);
+      row.querySelector('[name="domain"]').focus();
+    });
+    elements.extractionRulesContainer.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action="delete-rule"]');
+      if (button) {
+        button.closest('.extraction-rule').remove();
+      }
+    });
+    elements.saveExtractionRulesBtn.addEventListener('click', saveExtractionRules);
+    elements.exportExtractionRulesBtn.addEventListener('click', exportExtractionRules);
+    elements.importExtractionRulesBtn.addEventListener('click', () => elements.importExtractionRulesFile.click());
+    elements.importExtractionRulesFile.addEventListener('change', importExtractionRules);
+    
+    // Image upload
+    elements.imageUploadEnabled.addEventListener('change', saveImageUpload);
+    elements.imageMaxSize.addEventListener('change', saveImageUpload);
+    
+    // Price tracking
+    elements.priceTrackingEnabled.addEventListener('change', savePriceTracking);
+    elements.priceCheckInterval.addEventListener('change', savePriceTracking);
+    elements.priceUpdateServer.addEventListener('change', savePriceTracking);
+    elements.checkPricesBtn.addEventListener('click', checkPricesNow);
   }
 
   /**
@@ -94,19 +215,32 @@
    */
   async function loadConfig() {
     try {
-      const result = await browser.storage.local.get(['serverUrl', 'apiKey', 'lists', 'language', 'connectedUser']);
+      const result = await browser.storage.local.get('language');
       
-      elements.serverUrl.value = result.serverUrl || '';
-      elements.apiKey.value = result.apiKey || '';
-      lists = result.lists || [];
-      connectedUser = result.connectedUser || null;
+      // A first, empty profile holds the connection being configured
+      profiles = await window.profiles.getAll();
+      if (profiles.length === 0) {
+        await window.profiles.create('');
+        profiles = await window.profiles.getAll();
+      }
+      profile = await window.profiles.getActive();
+      
+      outboxEntries = await window.outbox.getAll();
+      renderUrlRules(await window.urlCleaner.loadRules());
+      renderExtractionRules(await window.extractionRules.getAll());
+      await renderImageUpload();
+      await renderPriceTracking();
       
       // Set language selector
       elements.languageSelect.value = result.language || 'auto';
       
-      // Update UI based on connection state
-      updateConnectionUI();
-      renderLists();
+      // Fill the connection of the profile and update UI based on its state
+      renderProfiles();
+      showProfile();
+      renderOutbox();
+      
+      // Draw attention to the pending items
+      elements.outboxSection.open = outboxEntries.length > 0;
       
     } catch (error) {
       console.error('Error while loading:', error);
@@ -114,6 +248,98 @@
     }
   }
 
+  /**
+   * Fill the profile switcher
+   */
+  function renderProfiles() {
+    elements.profileSelect.innerHTML = '';
+    for (const p of profiles) {
+      const option = document.createElement('option');
+      option.value = p.id;
+      option.textContent = window.profiles.getLabel(p);
+      elements.profileSelect.appendChild(option);
+    }
+    elements.profileSelect.value = profile.id;
+    elements.deleteProfileBtn.disabled = profiles.length < 2;
+  }
+
+  /**
+   * Display the connection of the active profile
+   */
+  function showProfile() {
+    elements.profileName.value = profile.name || '';
+    elements.serverUrl.value = profile.serverUrl || '';
+    elements.apiKey.value = profile.apiKey || '';
+    elements.password.value = '';
+    lists = profile.lists || [];
+    connectedUser = profile.connectedUser || null;
+    
+    updateConnectionUI();
+    renderLists();
+  }
+
+  /**
+   * Save some fields of the active profile
+   */
+  async function saveProfile(changes) {
+    profile = await window.profiles.update(profile.id, changes);
+    profiles = await window.profiles.getAll();
+    renderProfiles();
+  }
+
+  /**
+   * Edit another profile, it becomes the one used by the popup
+   */
+  async function switchProfile() {
+    await window.profiles.setActive(elements.profileSelect.value);
+    profile = await window.profiles.getActive();
+    showProfile();
+    renderOutbox();
+  }
+
+  /**
+   * Rename the active profile
+   */
+  async function renameProfile() {
+    await saveProfile({ name: elements.profileName.value.trim() });
+  }
+
+  /**
+   * Create a new profile and edit it
+   */
+  async function addProfile() {
+    profile = await window.profiles.create('');
+    profiles = await window.profiles.getAll();
+    renderProfiles();
+    showProfile();
+    renderOutbox();
+    elements.profileName.focus();
+  }
+
+  /**
+   * Delete the active profile
+   */
+  async function deleteProfile() {
+    if (profiles.length < 2) return;
+    if (!confirm(__('deleteProfileConfirm', { name: window.profiles.getLabel(profile) }))) return;
+    
+    await window.profiles.remove(profile.id);
+    profiles = await window.profiles.getAll();
+    profile = await window.profiles.getActive();
+    renderProfiles();
+    showProfile();
+    renderOutbox();
+    showStatus(__('profileDeleted'), 'info');
+  }
+
+  /**
+   * Get the cached lists of a profile
+   */
+  function getProfileLists(profileId) {
+    const owner = profiles.find(p => p.id === profileId);
+    return owner ? owner.lists || [] : lists;
+  }
+
   /**
    * Update UI based on connection state
    */
@@ -194,7 +420,7 @@
         connectedUser = data.user;
         elements.apiKey.value = data.apiKey;
         
-        await browser.storage.local.set({
+        await saveProfile({
           serverUrl,
           apiKey: data.apiKey,
           connectedUser: data.user
@@ -229,7 +455,7 @@
   async function handleLogout() {
     try {
       // Clear stored credentials
-      await browser.storage.local.remove(['apiKey', 'connectedUser', 'lists']);
+      await saveProfile({ apiKey: '', connectedUser: null, lists: [], defaultListId: '' });
       
       elements.apiKey.value = '';
       connectedUser = null;
@@ -257,6 +483,7 @@
       
       // Re-render dynamic content
       renderLists();
+      renderOutbox();
       
       showStatus(__('languageChanged'), 'info');
     }
@@ -334,6 +561,580 @@
     });
   }
 
+  /**
+   * Display the items waiting in the outbox
+   */
+  function renderOutbox() {
+    elements.outboxCount.textContent = `(${outboxEntries.length})`;
+    elements.retryAllBtn.disabled = outboxEntries.length === 0;
+    
+    if (outboxEntries.length === 0) {
+      elements.outboxContainer.innerHTML = `
+        <div class="empty-state">
+          ${__('outboxEmpty')}
+        </div>
+      `;
+      return;
+    }
+    
+    elements.outboxContainer.innerHTML = '';
+    const language = window.i18n ? window.i18n.getCurrentLanguage() : undefined;
+    
+    for (const entry of outboxEntries) {
+      const itemData = entry.itemData;
+      const list = getProfileLists(entry.profileId).find(l => l.id === itemData.listId);
+      const listName = list ? list.name || __('unnamedList') : itemData.listId;
+      // Tell which server the item goes to when there are several
+      const owner = profiles.length > 1 ? profiles.find(p => p.id === entry.profileId) : null;
+      const target = owner ? `${window.profiles.getLabel(owner)} › ${listName}` : listName;
+      const queuedAt = new Date(entry.createdAt).toLocaleString(language);
+      const status = entry.failed
+        ? __('outboxRejected', { error: entry.lastError || '' })
+        : __('outboxRetryStatus', {
+          attempts: entry.attempts,
+          time: new Date(entry.nextAttemptAt).toLocaleTimeString(language)
+        });
+      
+      const item = document.createElement('div');
+      item.className = `list-item outbox-item${entry.failed ? ' failed' : ''}`;
+      item.innerHTML = `
+        <span class="list-icon">${entry.failed ? '⚠️' : '⏳'}</span>
+        <div class="list-info">
+          <div class="list-name">${escapeHtml(itemData.name || itemData.url || '')}</div>
+          <div class="list-meta">${escapeHtml(target)} • ${escapeHtml(__('outboxQueuedAt', { date: queuedAt }))}</div>
+          <div class="list-meta">${escapeHtml(status)}</div>
+        </div>
+        <div class="list-actions">
+          <button type="button" class="list-open-btn" data-action="edit" data-entry-id="${entry.id}">${__('edit')}</button>
+          <button type="button" class="list-open-btn" data-action="retry" data-entry-id="${entry.id}">${__('retryNow')}</button>
+          <button type="button" class="list-open-btn" data-action="discard" data-entry-id="${entry.id}">${__('discard')}</button>
+        </div>
+      `;
+      elements.outboxContainer.appendChild(item);
+      
+      if (entry.id === editingOutboxId) {
+        elements.outboxContainer.appendChild(createOutboxEditForm(entry));
+      }
+    }
+  }
+
+  /**
+   * Build the form used to edit a queued item
+   */
+  function createOutboxEditForm(entry) {
+    const form = document.createElement('form');
+    form.className = 'outbox-edit';
+    form.innerHTML = `
+      <div class="form-group">
+        <label>${__('itemName')}</label>
+        <input type="text" name="name" required>
+      </div>
+      <div class="form-group">
+        <label>${__('productUrl')}</label>
+        <input type="url" name="url">
+      </div>
+      <div class="form-group">
+        <label>${__('price')}</label>
+        <div class="price-input">
+          <input type="number" name="price" step="0.01" min="0">
+          <input type="text" name="currency" placeholder="EUR" spellcheck="false">
+        </div>
+      </div>
+      <div class="form-group">
+        <label>${__('note')}</label>
+        <textarea name="note" rows="2"></textarea>
+      </div>
+      <div class="form-group">
+        <label>${__('quantity')}</label>
+        <input type="number" name="quantity" min="1" step="1">
+      </div>
+      <div class="form-group">
+        <label class="checkbox-label">
+          <input type="checkbox" name="mostWanted">
+          <span>${__('mostWanted')}</span>
+        </label>
+      </div>
+      <div class="form-group">
+        <label>${__('selectList')}</label>
+        <select name="listId"></select>
+      </div>
+      <div class="button-group">
+        <button type="submit" class="btn btn-primary">${__('save')}</button>
+        <button type="button" class="btn btn-secondary" data-action="cancel-edit">${__('cancel')}</button>
+      </div>
+    `;
+    
+    const itemData = entry.itemData;
+    form.elements.name.value = itemData.name || '';
+    form.elements.url.value = itemData.url || '';
+    form.elements.price.value = itemData.price != null ? itemData.price : '';
+    form.elements.currency.value = itemData.currency || '';
+    form.elements.note.value = itemData.note || '';
+    form.elements.quantity.value = itemData.quantity || 1;
+    form.elements.mostWanted.checked = Boolean(itemData.mostWanted);
+    
+    // Keep the original list selectable even if it is no longer cached
+    const entryLists = getProfileLists(entry.profileId);
+    const listOptions = entryLists.some(l => l.id === itemData.listId)
+      ? entryLists
+      : [{ id: itemData.listId, name: itemData.listId }, ...entryLists];
+    for (const list of listOptions) {
+      const option = document.createElement('option');
+      option.value = list.id;
+      option.textContent = window.wishlistApi.getListLabel(list);
+      form.elements.listId.appendChild(option);
+    }
+    form.elements.listId.value = itemData.listId;
+    
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      saveOutboxEntry(entry.id, form);
+    });
+    
+    return form;
+  }
+
+  /**
+   * Handle the edit / retry / discard buttons of the outbox
+   */
+  async function handleOutboxAction(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    
+    const id = button.dataset.entryId;
+    const entry = outboxEntries.find(en => en.id === id);
+    
+    switch (button.dataset.action) {
+      case 'edit':
+        editingOutboxId = editingOutboxId === id ? null : id;
+        renderOutbox();
+        break;
+      case 'cancel-edit':
+        editingOutboxId = null;
+        renderOutbox();
+        break;
+      case 'retry':
+        await retryOutbox(id);
+        break;
+      case 'discard':
+        if (entry && confirm(__('outboxDiscardConfirm', { name: entry.itemData.name || entry.itemData.url }))) {
+          if (editingOutboxId === id) editingOutboxId = null;
+          await window.outbox.remove(id);
+        }
+        break;
+    }
+  }
+
+  /**
+   * Save the changes made to a queued item
+   */
+  async function saveOutboxEntry(id, form) {
+    const price = parseFloat(form.elements.price.value);
+    const currency = window.currencies.normalizeCode(form.elements.currency.value);
+    if (!isNaN(price) && price > 0 && !currency) {
+      showStatus(__('invalidCurrency'), 'error', elements.outboxStatus);
+      form.elements.currency.focus();
+      return;
+    }
+    
+    const entry = outboxEntries.find(e => e.id === id);
+    if (!entry) return;
+    
+    const itemData = {
+      ...entry.itemData,
+      name: form.elements.name.value.trim(),
+      url: form.elements.url.value.trim(),
+      note: form.elements.note.value.trim() || null,
+      quantity: parseInt(form.elements.quantity.value, 10) || 1,
+      mostWanted: form.elements.mostWanted.checked,
+      listId: form.elements.listId.value
+    };
+    if (!isNaN(price) && price > 0) {
+      itemData.price = price;
+      itemData.currency = currency;
+    } else {
+      delete itemData.price;
+      delete itemData.currency;
+    }
+    
+    editingOutboxId = null;
+    await window.outbox.update(id, itemData);
+    showStatus(__('outboxSaved'), 'success', elements.outboxStatus);
+  }
+
+  /**
+   * Ask the background script to send one queued item, or all of them
+   */
+  async function retryOutbox(id) {
+    showStatus(__('outboxSending'), 'info', elements.outboxStatus);
+    elements.retryAllBtn.disabled = true;
+    
+    try {
+      const { sent } = await browser.runtime.sendMessage({ action: 'retryOutbox', id });
+      if (id && sent === 0) {
+        const entry = (await window.outbox.getAll()).find(e => e.id === id);
+        showStatus(__('outboxNotSent', { error: entry ? entry.lastError || '' : '' }), 'error', elements.outboxStatus);
+      } else {
+        showStatus(__('outboxSent', { count: sent }), sent > 0 ? 'success' : 'info', elements.outboxStatus);
+      }
+    } catch (error) {
+      console.error('Outbox retry error:', error);
+      showStatus(__('outboxNotSent', { error: error.message }), 'error', elements.outboxStatus);
+    } finally {
+      elements.retryAllBtn.disabled = outboxEntries.length === 0;
+    }
+  }
+
+  /**
+   * Display the URL cleaning rules
+   */
+  function renderUrlRules(rules) {
+    elements.urlRulesContainer.innerHTML = '';
+    for (const rule of rules.sites) {
+      elements.urlRulesContainer.appendChild(createUrlRuleRow(rule));
+    }
+    elements.trackingParams.value = rules.trackingParams.join(', ');
+    updateUrlTest();
+  }
+
+  /**
+   * Build the editable row of a site rule
+   */
+  function createUrlRuleRow(rule) {
+    const row = document.createElement('div');
+    row.className = 'url-rule';
+    row.innerHTML = `
+      <input type="text" name="name" placeholder="${__('urlRuleName')}" title="${__('urlRuleName')}">
+      <input type="text" name="host" class="pattern" placeholder="shop.*" title="${__('urlRuleHost')}" spellcheck="false">
+      <input type="text" name="keepParams" class="pattern" placeholder="*" title="${__('urlRuleKeepParams')}" spellcheck="false">
+      <button type="button" class="list-open-btn" data-action="delete-rule" title="${__('discard')}">🗑️</button>
+      <input type="text" name="path" class="pattern" placeholder="/product/(\d+)" title="${__('urlRulePath')}" spellcheck="false">
+      <input type="text" name="replace" class="pattern" placeholder="/product/$1" title="${__('urlRuleReplace')}" spellcheck="false">
+    `;
+    
+    row.querySelector('[name="name"]').value = rule.name || '';
+    row.querySelector('[name="host"]').value = rule.host || '';
+    row.querySelector('[name="path"]').value = rule.path || '';
+    row.querySelector('[name="replace"]').value = rule.replace || '';
+    // "*" keeps every parameter, an empty field removes them all
+    row.querySelector('[name="keepParams"]').value = Array.isArray(rule.keepParams) ? rule.keepParams.join(', ') : '*';
+    
+    return row;
+  }
+
+  /**
+   * Read the rules from the form
+   */
+  function readUrlRules() {
+    const splitList = value => value.split(/[\s,]+/).map(v => v.trim()).filter(Boolean);
+    
+    const sites = [...elements.urlRulesContainer.querySelectorAll('.url-rule')].map(row => {
+      const field = name => row.querySelector(`[name="${name}"]`).value.trim();
+      const keepParams = field('keepParams');
+      return {
+        name: field('name'),
+        host: field('host'),
+        path: field('path'),
+        replace: field('replace'),
+        keepParams: keepParams === '*' ? null : splitList(keepParams)
+      };
+    }).filter(rule => rule.name || rule.host || rule.path);
+    
+    return {
+      sites,
+      trackingParams: splitList(elements.trackingParams.value)
+    };
+  }
+
+  /**
+   * Show how the test URL is cleaned with the rules being edited
+   */
+  function updateUrlTest() {
+    const url = elements.urlTest.value.trim();
+    const rules = readUrlRules();
+    
+    if (!url || window.urlCleaner.validateRules(rules).length > 0) {
+      elements.urlTestResult.textContent = '';
+      return;
+    }
+    elements.urlTestResult.textContent = `→ ${window.urlCleaner.clean(url, rules)}`;
+  }
+
+  /**
+   * Save the URL cleaning rules
+   */
+  async function saveUrlRules() {
+    const rules = readUrlRules();
+    const errors = window.urlCleaner.validateRules(rules);
+    if (errors.length > 0) {
+      showStatus(__('urlRulesInvalid', { errors: errors.join('; ') }), 'error', elements.urlRulesStatus);
+      return;
+    }
+    
+    try {
+      await window.urlCleaner.saveRules(rules);
+      showStatus(__('configSaved'), 'success', elements.urlRulesStatus);
+    } catch (error) {
+      console.error('Error while saving the URL rules:', error);
+      showStatus(__('configSaveError'), 'error', elements.urlRulesStatus);
+    }
+  }
+
+  /**
+   * Restore the built-in URL cleaning rules
+   */
+  async function resetUrlRules() {
+    await window.urlCleaner.saveRules(null);
+    renderUrlRules(window.urlCleaner.DEFAULT_RULES);
+    showStatus(__('urlRulesRestored'), 'info', elements.urlRulesStatus);
+  }
+
+  /**
+   * Display the extraction rules
+   */
+  function renderExtractionRules(rules) {
+    elements.extractionRulesContainer.innerHTML = '';
+    for (const rule of rules) {
+      elements.extractionRulesContainer.appendChild(createExtractionRuleRow(rule));
+    }
+    elements.extractionRulesCount.textContent = rules.length > 0 ? `(${rules.length})` : '';
+  }
+
+  /**
+   * Build the editable block of a site's extraction rule, one line per field
+   */
+  function createExtractionRuleRow(rule) {
+    const row = document.createElement('div');
+    row.className = 'extraction-rule';
+    row.innerHTML = `
+      <div class="extraction-rule-header">
+        <input type="text" name="domain" placeholder="shop.example.com" title="${__('urlRuleHost')}" spellcheck="false">
+        <button type="button" class="list-open-btn" data-action="delete-rule" title="${__('discard')}">🗑️</button>
+      </div>
+    `;
+    row.querySelector('[name="domain"]').value = rule.domain || '';
+    
+    for (const field of window.extractionRules.FIELDS) {
+      const fieldRule = rule.fields[field] || {};
+      const line = document.createElement('div');
+      line.className = 'extraction-field';
+      line.dataset.field = field;
+      line.innerHTML = `
+        <label>${__(EXTRACTION_FIELD_LABELS[field])}</label>
+        <input type="text" name="selector" placeholder="${__('ruleSelector')}" title="${__('ruleSelector')}" spellcheck="false">
+        <input type="text" name="attribute" placeholder="${__('ruleAttribute')}" title="${__('ruleAttribute')}" spellcheck="false">
+        <input type="text" name="regex" placeholder="${__('ruleRegex')}" title="${__('ruleRegex')}" spellcheck="false">
+      `;
+      line.querySelector('[name="selector"]').value = fieldRule.selector || '';
+      line.querySelector('[name="attribute"]').value = fieldRule.attribute || '';
+      line.querySelector('[name="regex"]').value = fieldRule.regex || '';
+      row.appendChild(line);
+    }
+    
+    return row;
+  }
+
+  /**
+   * Read the extraction rules from the form
+   */
+  function readExtractionRules() {
+    return [...elements.extractionRulesContainer.querySelectorAll('.extraction-rule')].map(row => {
+      const fields = {};
+      for (const line of row.querySelectorAll('.extraction-field')) {
+        fields[line.dataset.field] = {
+          selector: line.querySelector('[name="selector"]').value,
+          attribute: line.querySelector('[name="attribute"]').value,
+          regex: line.querySelector('[name="regex"]').value
+        };
+      }
+      const domain = row.querySelector('[name="domain"]').value;
+      // A rule without a domain is kept so validation can point at it
+      return window.extractionRules.normalizeRule({ domain, fields }) || { domain: '', fields: {} };
+    }).filter(rule => rule.domain || Object.keys(rule.fields).length > 0);
+  }
+
+  /**
+   * Save the extraction rules
+   */
+  async function saveExtractionRules() {
+    const rules = readExtractionRules();
+    const errors = window.extractionRules.validateRules(rules);
+    if (errors.length > 0) {
+      showStatus(__('urlRulesInvalid', { errors: errors.join('; ') }), 'error', elements.extractionRulesStatus);
+      return;
+    }
+    
+    try {
+      await window.extractionRules.saveAll(rules);
+      renderExtractionRules(rules);
+      showStatus(__('configSaved'), 'success', elements.extractionRulesStatus);
+    } catch (error) {
+      console.error('Error while saving the extraction rules:', error);
+      showStatus(__('configSaveError'), 'error', elements.extractionRulesStatus);
+    }
+  }
+
+  /**
+   * Download the saved extraction rules as a JSON file
+   */
+  async function exportExtractionRules() {
+    const rules = await window.extractionRules.getAll();
+    const blob = new Blob([window.extractionRules.exportRules(rules)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'wishlist-extraction-rules.json';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Add the rules of a JSON file to the saved ones
+   */
+  async function importExtractionRules() {
+    const file = elements.importExtractionRulesFile.files[0];
+    elements.importExtractionRulesFile.value = '';
+    if (!file) return;
+    
+    let imported;
+    try {
+      imported = window.extractionRules.parseImport(await file.text());
+    } catch (error) {
+      console.warn('Invalid extraction rules file:', error);
+      showStatus(__('rulesImportError'), 'error', elements.extractionRulesStatus);
+      return;
+    }
+    
+    const errors = window.extractionRules.validateRules(imported);
+    if (errors.length > 0) {
+      showStatus(__('urlRulesInvalid', { errors: errors.join('; ') }), 'error', elements.extractionRulesStatus);
+      return;
+    }
+    
+    try {
+      const rules = window.extractionRules.mergeRules(await window.extractionRules.getAll(), imported);
+      await window.extractionRules.saveAll(rules);
+      renderExtractionRules(rules);
+      elements.extractionRulesContainer.closest('details').open = true;
+      showStatus(__('rulesImported', { count: imported.length }), 'success', elements.extractionRulesStatus);
+    } catch (error) {
+      console.error('Error while importing the extraction rules:', error);
+      showStatus(__('configSaveError'), 'error', elements.extractionRulesStatus);
+    }
+  }
+
+  /**
+   * Display the image upload settings
+   */
+  async function renderImageUpload() {
+    const settings = await window.imageUpload.getSettings();
+    
+    elements.imageMaxSize.innerHTML = '';
+    for (const size of window.imageUpload.MAX_SIZES) {
+      const option = document.createElement('option');
+      option.value = size;
+      option.textContent = size ? __('imageSizePixels', { size }) : __('imageSizeOriginal');
+      elements.imageMaxSize.appendChild(option);
+    }
+    
+    elements.imageUploadEnabled.checked = settings.enabled;
+    elements.imageMaxSize.value = settings.maxSize;
+    elements.imageMaxSize.disabled = !settings.enabled;
+  }
+
+  /**
+   * Save the image upload settings as soon as they change
+   */
+  async function saveImageUpload() {
+    elements.imageMaxSize.disabled = !elements.imageUploadEnabled.checked;
+    
+    try {
+      await window.imageUpload.saveSettings({
+        enabled: elements.imageUploadEnabled.checked,
+        maxSize: parseInt(elements.imageMaxSize.value, 10)
+      });
+      showStatus(__('configSaved'), 'success', elements.imageUploadStatus);
+    } catch (error) {
+      console.error('Error while saving the image upload settings:', error);
+      showStatus(__('configSaveError'), 'error', elements.imageUploadStatus);
+    }
+  }
+
+  /**
+   * Display the price tracking settings and the number of tracked items
+   */
+  async function renderPriceTracking() {
+    const settings = await window.priceTracker.getSettings();
+    
+    elements.priceCheckInterval.innerHTML = '';
+    for (const hours of PRICE_CHECK_INTERVALS) {
+      const option = document.createElement('option');
+      option.value = hours;
+      if (hours < 24) {
+        option.textContent = __('everyHours', { count: hours });
+      } else {
+        option.textContent = hours === 24 ? __('everyDay') : __('everyDays', { count: hours / 24 });
+      }
+      elements.priceCheckInterval.appendChild(option);
+    }
+    
+    elements.priceTrackingEnabled.checked = settings.enabled;
+    elements.priceCheckInterval.value = settings.intervalHours;
+    elements.priceUpdateServer.checked = settings.updateServer;
+    updatePriceTrackingFields();
+    
+    const tracked = (await window.itemHistory.getAll()).filter(window.priceTracker.isTrackable);
+    elements.trackedCount.textContent = tracked.length > 0 ? `(${tracked.length})` : '';
+  }
+
+  /**
+   * Disable the settings that have no effect while tracking is off
+   */
+  function updatePriceTrackingFields() {
+    elements.priceCheckInterval.disabled = !elements.priceTrackingEnabled.checked;
+    elements.priceUpdateServer.disabled = !elements.priceTrackingEnabled.checked;
+  }
+
+  /**
+   * Save the price tracking settings as soon as they change
+   */
+  async function savePriceTracking() {
+    updatePriceTrackingFields();
+    
+    try {
+      await window.priceTracker.saveSettings({
+        enabled: elements.priceTrackingEnabled.checked,
+        intervalHours: parseInt(elements.priceCheckInterval.value, 10),
+        updateServer: elements.priceUpdateServer.checked
+      });
+      showStatus(__('configSaved'), 'success', elements.priceTrackingStatus);
+    } catch (error) {
+      console.error('Error while saving the price tracking settings:', error);
+      showStatus(__('configSaveError'), 'error', elements.priceTrackingStatus);
+    }
+  }
+
+  /**
+   * Ask the background script to check every tracked item now
+   */
+  async function checkPricesNow() {
+    showStatus(__('checkingPrices'), 'info', elements.priceTrackingStatus);
+    elements.checkPricesBtn.disabled = true;
+    
+    try {
+      const { checked, drops } = await browser.runtime.sendMessage({ action: 'checkPrices' });
+      showStatus(__('pricesChecked', { checked, drops }), drops > 0 ? 'success' : 'info', elements.priceTrackingStatus);
+    } catch (error) {
+      console.error('Price check error:', error);
+      showStatus(error.message, 'error', elements.priceTrackingStatus);
+    } finally {
+      elements.checkPricesBtn.disabled = false;
+    }
+  }
+
   /**
    * Save and connect - saves config, tests connection, and fetches lists
    */
@@ -358,7 +1159,7 @@
     
     // Save config first
     try {
-      await browser.storage.local.set({
+      await saveProfile({
         serverUrl,
         apiKey
       });
@@ -384,8 +1185,8 @@
         const data = await response.json();
         lists = data.lists || [];
         
-        // Save lists to storage
-        await browser.storage.local.set({ lists });
+        // Save lists to the profile
+        await saveProfile({ lists });
         
         renderLists();
         
@@ -439,8 +1240,8 @@
         const data = await response.json();
         lists = data.lists || [];
         
-        // Save lists to storage
-        await browser.storage.local.set({ lists });
+        // Save lists to the profile
+        await saveProfile({ lists });
         
         renderLists();
         
@@ -461,15 +1262,15 @@
   /**
    * Display a status message
    */
-  function showStatus(message, type) {
-    elements.statusMessage.textContent = message;
-    elements.statusMessage.className = `status-message ${type}`;
+  function showStatus(message, type, target = elements.statusMessage) {
+    target.textContent = message;
+    target.className = `status-message ${type}`;
     
     // Hide after 5 seconds for success and info
     if (type === 'success' || type === 'info') {
       setTimeout(() => {
-        if (elements.statusMessage.textContent === message) {
-          elements.statusMessage.className = 'status-message';
+        if (target.textContent === message) {
+          target.className = 'status-message';
         }
       }, 5000);
     }
@@ -0,0 +1,161 @@
+/**
+ * Outbox for Wishlist Quick Add
+ * Keeps the items that could not be sent (server down, no network) in storage
+ * so that the background script can retry them later
+ *
+ * An entry is:
+ * { id, profileId, itemData, createdAt, attempts, nextAttemptAt, lastError, failed }
+ * `failed` entries were rejected by the server (4xx) and wait for the user to edit or discard them.
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'outbox';
+
+  // Retry delays: 1 min, 2 min, 4 min... up to 1 hour
+  const BASE_DELAY = 60 * 1000;
+  const MAX_DELAY = 60 * 60 * 1000;
+
+  /**
+   * Get all queued entries, oldest first
+   */
+  async function getAll() {
+    const result = await browser.storage.local.get(STORAGE_KEY);
+    return result[STORAGE_KEY] || [];
+  }
+
+  /**
+   * Save the queued entries
+   */
+  async function save(entries) {
+    await browser.storage.local.set({ [STORAGE_KEY]: entries });
+  }
+
+  /**
+   * Check whether a failed submission is worth retrying later
+   * (network errors and server errors, not rejected requests)
+   */
+  function isRetryable(error) {
+    const status = error instanceof window.wishlistApi.ApiError ? error.status : 0;
+    return status === 0 || status >= 500;
+  }
+
+  /**
+   * Get the delay before the next attempt
+   */
+  function getRetryDelay(attempts) {
+    return Math.min(BASE_DELAY * Math.pow(2, Math.max(attempts - 1, 0)), MAX_DELAY);
+  }
+
+  /**
+   * Queue an item whose submission failed
+   * @param {Object} config - Connection settings of the profile to send the item to
+   */
+  async function enqueue(config, itemData, error) {
+    const entries = await getAll();
+    const now = Date.now();
+    const entry = {
+      id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+      profileId: config.profileId,
+      itemData,
+      createdAt: now,
+      attempts: 1,
+      nextAttemptAt: now + getRetryDelay(1),
+      lastError: error ? error.message : null,
+      failed: false
+    };
+
+    entries.push(entry);
+    await save(entries);
+    return entry;
+  }
+
+  /**
+   * Replace the item data of an entry and schedule it for the next retry
+   */
+  async function update(id, itemData) {
+    const entries = await getAll();
+    const entry = entries.find(e => e.id === id);
+    if (!entry) return null;
+
+    entry.itemData = itemData;
+    entry.failed = false;
+    entry.nextAttemptAt = Date.now();
+    await save(entries);
+    return entry;
+  }
+
+  /**
+   * Discard an entry
+   */
+  async function remove(id) {
+    const entries = await getAll();
+    await save(entries.filter(e => e.id !== id));
+  }
+
+  /**
+   * Try to send an entry now
+   * @returns {Promise<boolean>} true if the item was added
+   */
+  async function send(id) {
+    const entry = (await getAll()).find(e => e.id === id);
+    if (!entry) return false;
+
+    const config = await window.wishlistApi.getConfig(entry.profileId);
+    let result = null;
+    let error = null;
+    try {
+      result = await window.imageUpload.createItem(config, entry.itemData);
+    } catch (e) {
+      error = e;
+    }
+
+    // Storage may have changed while the request was running
+    const entries = await getAll();
+    const current = entries.find(e => e.id === id);
+
+    if (!error) {
+      await save(entries.filter(e => e.id !== id));
+      await window.itemHistory.record(config, entry.itemData, result);
+      return true;
+    }
+
+    if (current) {
+      current.attempts++;
+      current.lastError = error.message;
+      current.failed = !isRetryable(error);
+      current.nextAttemptAt = Date.now() + getRetryDelay(current.attempts);
+      await save(entries);
+    }
+    return false;
+  }
+
+  /**
+   * Send the entries whose retry time has come
+   * @param {boolean} force - Retry every pending entry regardless of its schedule
+   * @returns {Promise<number>} Number of items added
+   */
+  async function processDue(force = false) {
+    const now = Date.now();
+    const due = (await getAll()).filter(e => !e.failed && (force || e.nextAttemptAt <= now));
+
+    let sent = 0;
+    for (const entry of due) {
+      if (await send(entry.id)) sent++;
+    }
+    return sent;
+  }
+
+  // Export for use in other scripts
+  window.outbox = {
+    STORAGE_KEY,
+    getAll,
+    isRetryable,
+    enqueue,
+    update,
+    remove,
+    send,
+    processDue
+  };
+})();
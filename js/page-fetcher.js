@@ -0,0 +1,62 @@
+/**
+ * Page fetcher for Wishlist Quick Add
+ * Downloads a product page without opening it and runs the PageParser on it
+ */
+
+(function() {
+  'use strict';
+
+  /**
+   * Decode a response body with the charset announced by the server
+   */
+  async function readText(response) {
+    const buffer = await response.arrayBuffer();
+    const contentType = response.headers.get('content-type') || '';
+    const match = contentType.match(/charset=["']?([^;"'\s]+)/i);
+
+    try {
+      return new TextDecoder(match ? match[1] : 'utf-8').decode(buffer);
+    } catch (e) {
+      return new TextDecoder('utf-8').decode(buffer);
+    }
+  }
+
+  /**
+   * Fetch a page and build its Document
+   * @returns {Promise<{doc: Document, url: string}>} url is the final URL after redirects
+   */
+  async function fetchDocument(url) {
+    const response = await fetch(url, { headers: { 'Accept': 'text/html,application/xhtml+xml' } });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const html = await readText(response);
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+
+    // Resolve relative links and images against the page, not the extension
+    if (!doc.querySelector('base[href]')) {
+      const base = doc.createElement('base');
+      base.href = response.url || url;
+      doc.head.prepend(base);
+    }
+
+    return { doc, url: response.url || url };
+  }
+
+  /**
+   * Fetch a product page and extract its information, like the content script does for open tabs
+   */
+  async function fetchPageInfo(url) {
+    const { doc, url: finalUrl } = await fetchDocument(url);
+    const parser = new window.PageParser(doc, finalUrl);
+    parser.customRule = await window.extractionRules.getForHostname(new URL(finalUrl).hostname);
+    return parser.parseCurrentPage();
+  }
+
+  // Export for use in other scripts
+  window.pageFetcher = {
+    fetchDocument,
+    fetchPageInfo
+  };
+})();
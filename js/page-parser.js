@@ -0,0 +1,1768 @@
+/**
+ * Page parser for Wishlist Quick Add
+ * Extracts product information (title, images, price, description) from a Document:
+ * the live page in the content script, or a page fetched by the background script
+ */
+
+(function() {
+  'use strict';
+
+  /**
+   * JSON-LD extractor for schema.org Product data
+   * Walks every ld+json block (arrays, @graph wrappers, @id references) and
+   * normalizes the main Product / ProductGroup and its offers
+   */
+  class JsonLdProductExtractor {
+    constructor(parser) {
+      this.parser = parser;
+      this.productTypes = ['Product', 'ProductGroup', 'IndividualProduct', 'ProductModel'];
+      // Price specifications describing a crossed-out price rather than the selling price
+      this.listPriceTypes = ['ListPrice', 'StrikethroughPrice', 'MSRP', 'SRP'];
+    }
+
+    /**
+     * Extract the main product of the page, or null if there is none
+     */
+    extract() {
+      const nodes = this.collectPageNodes();
+      const products = nodes.filter(node => this.isProduct(node));
+      const product = this.selectMainProduct(products);
+      return product ? this.normalizeProduct(product) : null;
+    }
+
+    /**
+     * Extract the products listed on the page: the entries of an ItemList,
+     * or else several standalone products (category pages describing each card)
+     * Returns [{ title, url, images, price, currency }]
+     */
+    extractList() {
+      const nodes = this.collectPageNodes();
+      const listed = [];
+
+      for (const list of nodes.filter(node => this.hasType(node, ['ItemList']))) {
+        for (const element of this.toArray(list.itemListElement)) {
+          const entry = this.resolve(element);
+          if (!entry || typeof entry !== 'object') continue;
+
+          // ListItem wrapping the product, or the product itself
+          const item = this.resolve(entry.item);
+          const product = item && typeof item === 'object' ? item : entry;
+          listed.push(this.normalizeListedProduct(product, {
+            url: this.getText(entry.url) || (typeof entry.item === 'string' ? entry.item : null),
+            name: this.getText(entry.name),
+            image: entry.image
+          }));
+        }
+      }
+      if (listed.length > 0) return listed;
+
+      const products = nodes.filter(node => this.isProduct(node));
+      const variants = new Set();
+      for (const product of products) {
+        for (const variant of this.toArray(product.hasVariant)) {
+          variants.add(this.resolve(variant));
+        }
+      }
+      return products.filter(product => !variants.has(product)).map(product => this.normalizeListedProduct(product));
+    }
+
+    /**
+     * Parse every ld+json block of the page and index the nodes by @id
+     */
+    collectPageNodes() {
+      const nodes = [];
+      const scripts = this.parser.document.querySelectorAll('script[type="application/ld+json"]');
+      for (const script of scripts) {
+        const data = this.parseJson(script.textContent);
+        if (data) this.collectNodes(data, nodes);
+      }
+
+      // Index nodes by @id to resolve references like { "@id": "#offer" }
+      this.nodesById = new Map();
+      for (const node of nodes) {
+        if (typeof node['@id'] === 'string' && Object.keys(node).length > 1) {
+          this.nodesById.set(node['@id'], node);
+        }
+      }
+
+      return nodes;
+    }
+
+    /**
+     * Build a listed product, the ListItem fills what the product lacks
+     */
+    normalizeListedProduct(product, fallback = {}) {
+      const offer = this.isProduct(product) ? this.selectOffer(product) : null;
+      const images = this.getImages(product);
+
+      return {
+        title: this.getText(product.name) || fallback.name || null,
+        url: this.getText(product.url) || fallback.url || null,
+        images: images.length > 0 ? images : this.getImages({ image: fallback.image }),
+        price: offer ? offer.price : null,
+        currency: offer ? offer.currency : null
+      };
+    }
+
+    /**
+     * Parse the content of a JSON-LD script, tolerating comments and CDATA wrappers
+     */
+    parseJson(text) {
+      if (!text) return null;
+      const cleaned = text
+        .replace(/^\s*<!--|-->\s*$/g, '')
+        .replace(/^\s*\/\/\s*<!\[CDATA\[|\/\/\s*\]\]>\s*$/g, '')
+        .trim();
+      try {
+        return JSON.parse(cleaned);
+      } catch (e) {
+        return null; // Ignore parse errors
+      }
+    }
+
+    /**
+     * Recursively collect every object node (arrays, @graph, nested values)
+     */
+    collectNodes(data, nodes, depth = 0) {
+      if (!data || typeof data !== 'object' || depth > 20) return;
+
+      if (Array.isArray(data)) {
+        for (const item of data) this.collectNodes(item, nodes, depth + 1);
+        return;
+      }
+
+      nodes.push(data);
+      for (const value of Object.values(data)) {
+        if (value && typeof value === 'object') {
+          this.collectNodes(value, nodes, depth + 1);
+        }
+      }
+    }
+
+    /**
+     * Resolve an { "@id": ... } reference to the full node when available
+     */
+    resolve(node) {
+      if (node && typeof node === 'object' && !Array.isArray(node) &&
+          typeof node['@id'] === 'string' && this.nodesById.has(node['@id'])) {
+        return this.nodesById.get(node['@id']);
+      }
+      return node;
+    }
+
+    /**
+     * Check whether a node has one of the given schema.org types
+     */
+    hasType(node, types) {
+      if (!node || !node['@type']) return false;
+      const nodeTypes = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+      return nodeTypes.some(type => types.includes(String(type).replace(/^(https?:\/\/)?schema\.org\//, '')));
+    }
+
+    isProduct(node) {
+      return this.hasType(node, this.productTypes);
+    }
+
+    /**
+     * Pick the main product: variants of a ProductGroup are not candidates,
+     * products with offers win over bare mentions (related products, breadcrumbs...)
+     */
+    selectMainProduct(products) {
+      if (products.length === 0) return null;
+
+      const variants = new Set();
+      for (const product of products) {
+        for (const variant of this.toArray(product.hasVariant)) {
+          variants.add(this.resolve(variant));
+        }
+      }
+
+      const candidates = products.filter(product => !variants.has(product));
+      const pool = candidates.length > 0 ? candidates : products;
+
+      return pool.find(product => this.getOffers(product).length > 0) || pool[0];
+    }
+
+    /**
+     * Build the normalized product object
+     */
+    normalizeProduct(product) {
+      const offer = this.selectOffer(product);
+
+      return {
+        name: this.getText(product.name),
+        description: this.getText(product.description),
+        brand: this.getBrand(product),
+        gtin: this.getGtin(product),
+        sku: this.getText(product.sku),
+        mpn: this.getText(product.mpn),
+        images: this.getImages(product),
+        price: offer ? offer.price : null,
+        originalPrice: offer ? offer.originalPrice : null,
+        unitPrice: offer ? offer.unitPrice : null,
+        unitPriceUnit: offer ? offer.unitPriceUnit : null,
+        lowPrice: offer ? offer.lowPrice : null,
+        highPrice: offer ? offer.highPrice : null,
+        currency: offer ? offer.currency : null,
+        availability: offer ? offer.availability : null,
+        variants: this.getVariants(product)
+      };
+    }
+
+    /**
+     * Get the variants of a product: ProductGroup.hasVariant, or several offers
+     * pointing to variant URLs (Shopify: one offer per "?variant=" URL)
+     */
+    getVariants(product) {
+      const variants = this.toArray(product.hasVariant)
+        .map(variant => this.resolve(variant))
+        .filter(variant => variant && typeof variant === 'object' && variant !== product);
+
+      if (variants.length > 0) {
+        return variants.map(variant => this.normalizeVariant(variant));
+      }
+
+      const offers = this.toArray(product.offers).map(offer => this.resolve(offer)).filter(Boolean);
+      if (offers.length < 2 || !offers.some(offer => offer.url || offer.sku)) return [];
+
+      return offers.map(offer => {
+        const normalized = this.normalizeOffer(offer)[0] || {};
+        return {
+          name: this.getText(offer.name) || this.getText(offer.itemOffered && offer.itemOffered.name),
+          sku: this.getText(offer.sku),
+          gtin: this.getGtin(offer),
+          url: this.getText(offer.url),
+          images: [],
+          price: normalized.price !== undefined ? normalized.price : null,
+          currency: normalized.currency || null,
+          availability: normalized.availability || null,
+          properties: {}
+        };
+      });
+    }
+
+    /**
+     * Normalize a variant Product (name, identifiers, image, price, varying properties)
+     */
+    normalizeVariant(variant) {
+      const offer = this.selectOffer(variant);
+      const properties = {};
+
+      for (const key of ['color', 'size', 'material', 'pattern']) {
+        const raw = this.resolve(variant[key]);
+        const value = this.getText(raw && typeof raw === 'object' && !Array.isArray(raw) ? raw.name : raw);
+        if (value) properties[key] = value;
+      }
+      for (const property of this.toArray(variant.additionalProperty).map(p => this.resolve(p))) {
+        if (property && this.getText(property.name) && this.getText(property.value)) {
+          properties[this.getText(property.name)] = this.getText(property.value);
+        }
+      }
+
+      let url = this.getText(variant.url);
+      if (!url) {
+        const offerWithUrl = this.getOffers(variant).find(o => o && o.url);
+        url = offerWithUrl ? this.getText(offerWithUrl.url) : null;
+      }
+
+      return {
+        name: this.getText(variant.name),
+        sku: this.getText(variant.sku),
+        gtin: this.getGtin(variant),
+        url,
+        images: this.getImages(variant),
+        price: offer ? offer.price : null,
+        currency: offer ? offer.currency : null,
+        availability: offer ? offer.availability : null,
+        properties
+      };
+    }
+
+    /**
+     * Get the offers of a product, falling back to the offers of its variants
+     */
+    getOffers(product) {
+      const offers = this.toArray(product.offers).map(offer => this.resolve(offer));
+      if (offers.length > 0) return offers;
+
+      const variantOffers = [];
+      for (const variant of this.toArray(product.hasVariant)) {
+        const resolved = this.resolve(variant);
+        if (resolved && resolved !== product) {
+          variantOffers.push(...this.toArray(resolved.offers).map(offer => this.resolve(offer)));
+        }
+      }
+      return variantOffers;
+    }
+
+    /**
+     * Normalize every offer (Offer, AggregateOffer, nested offers) and keep the cheapest one
+     */
+    selectOffer(product) {
+      const normalized = [];
+      for (const offer of this.getOffers(product)) {
+        normalized.push(...this.normalizeOffer(offer));
+      }
+
+      const priced = normalized.filter(offer => offer.price !== null);
+      if (priced.length === 0) return normalized[0] || null;
+
+      // Prefer offers that are in stock
+      const inStock = priced.filter(offer => !offer.availability || offer.availability === 'InStock');
+      const pool = inStock.length > 0 ? inStock : priced;
+
+      return pool.reduce((best, offer) => (offer.price < best.price ? offer : best));
+    }
+
+    /**
+     * Normalize an offer node into
+     * { price, originalPrice, unitPrice, unitPriceUnit, lowPrice, highPrice, currency, availability }
+     */
+    normalizeOffer(offer, depth = 0) {
+      if (!offer || typeof offer !== 'object' || depth > 5) return [];
+
+      const specifications = this.toArray(offer.priceSpecification).map(spec => this.resolve(spec)).filter(Boolean);
+      const specification = this.selectPriceSpecification(specifications);
+      const currency = this.getText(offer.priceCurrency) ||
+                       (specification ? this.getText(specification.priceCurrency) : null);
+      const availability = this.getAvailability(offer.availability);
+
+      // AggregateOffer: price range, possibly with nested offers
+      if (this.hasType(offer, ['AggregateOffer']) || offer.lowPrice !== undefined) {
+        const lowPrice = this.toNumber(offer.lowPrice, currency);
+        const highPrice = this.toNumber(offer.highPrice, currency);
+        const price = lowPrice !== null ? lowPrice : this.toNumber(offer.price, currency);
+
+        if (price === null && offer.offers) {
+          const nested = [];
+          for (const subOffer of this.toArray(offer.offers)) {
+            nested.push(...this.normalizeOffer(this.resolve(subOffer), depth + 1)
+              .map(sub => ({ ...sub, currency: sub.currency || currency })));
+          }
+          return nested;
+        }
+
+        return [{
+          price, originalPrice: null, unitPrice: null, unitPriceUnit: null,
+          lowPrice, highPrice, currency, availability
+        }];
+      }
+
+      let price = this.toNumber(offer.price, currency);
+      if (price === null && specification) {
+        price = this.toNumber(specification.price, currency);
+      }
+
+      const listSpecification = specifications.find(spec => this.isListPrice(spec));
+      let originalPrice = listSpecification ? this.toNumber(listSpecification.price, currency) : null;
+      if (originalPrice !== null && price !== null && originalPrice <= price) {
+        originalPrice = null;
+      }
+
+      const unitSpecification = specifications.find(spec => spec.referenceQuantity && !this.isListPrice(spec));
+      const unitPrice = unitSpecification ? this.toNumber(unitSpecification.price, currency) : null;
+
+      return [{
+        price,
+        originalPrice,
+        unitPrice,
+        unitPriceUnit: unitPrice !== null ? this.getUnitText(unitSpecification.referenceQuantity) : null,
+        lowPrice: null,
+        highPrice: null,
+        currency,
+        availability
+      }];
+    }
+
+    /**
+     * Check whether a price specification is a crossed-out price
+     */
+    isListPrice(specification) {
+      const priceType = String(specification.priceType || '').replace(/^(https?:\/\/)?schema\.org\//, '');
+      return this.listPriceTypes.includes(priceType);
+    }
+
+    /**
+     * Describe a referenceQuantity ({ value: 100, unitCode: "GRM" } -> "100 g")
+     */
+    getUnitText(quantity) {
+      const unitCodes = { KGM: 'kg', GRM: 'g', LTR: 'l', MLT: 'ml', CLT: 'cl', MTR: 'm', MTK: 'm²', C62: 'unit' };
+      const resolved = this.resolve(quantity);
+      if (!resolved || typeof resolved !== 'object') return null;
+
+      const unit = this.getText(resolved.unitText) || unitCodes[this.getText(resolved.unitCode)] || this.getText(resolved.unitCode);
+      if (!unit) return null;
+
+      const value = this.toNumber(resolved.value);
+      return value !== null && value !== 1 ? `${value} ${unit}` : unit;
+    }
+
+    /**
+     * Pick the selling price among price specifications (skip list / strikethrough and unit prices)
+     */
+    selectPriceSpecification(specifications) {
+      if (specifications.length === 0) return null;
+
+      const selling = specifications.find(spec => !this.isListPrice(spec) && !spec.referenceQuantity) ||
+                      specifications.find(spec => !this.isListPrice(spec));
+      return selling || specifications[0];
+    }
+
+    getBrand(product) {
+      const brand = this.resolve(this.toArray(product.brand)[0]);
+      if (!brand) return null;
+      return typeof brand === 'object' ? this.getText(brand.name) : this.getText(brand);
+    }
+
+    getGtin(product) {
+      for (const key of ['gtin', 'gtin13', 'gtin14', 'gtin12', 'gtin8', 'isbn']) {
+        const value = this.getText(product[key]);
+        if (value) return value;
+      }
+      return null;
+    }
+
+    /**
+     * Get image URLs (strings, ImageObject, arrays of both)
+     */
+    getImages(product) {
+      const images = [];
+      for (const image of this.toArray(product.image)) {
+        const resolved = this.resolve(image);
+        const url = typeof resolved === 'string'
+          ? resolved
+          : resolved && (resolved.contentUrl || resolved.url);
+        const text = this.getText(url);
+        if (text && !images.includes(text)) images.push(text);
+      }
+      return images;
+    }
+
+    /**
+     * Convert "https://schema.org/InStock" to "InStock"
+     */
+    getAvailability(value) {
+      const text = this.getText(value);
+      if (!text) return null;
+      return text.replace(/^.*[/#:]/, '');
+    }
+
+    getText(value) {
+      if (Array.isArray(value)) value = value[0];
+      if (value && typeof value === 'object') value = value['@value'];
+      if (value === undefined || value === null) return null;
+      const text = String(value).trim();
+      return text || null;
+    }
+
+    toNumber(value, currency = null) {
+      if (value === undefined || value === null || value === '') return null;
+      if (typeof value === 'number') return isFinite(value) ? value : null;
+      // schema.org prices use a dot as decimal separator, only displayed prices need guessing
+      const text = String(value).trim();
+      if (/^\d+(\.\d+)?$/.test(text)) return parseFloat(text);
+      return this.parser.parsePrice(text, currency);
+    }
+
+    toArray(value) {
+      if (value === undefined || value === null) return [];
+      return Array.isArray(value) ? value : [value];
+    }
+  }
+
+  /**
+   * Image collector for the generic extraction
+   * Gathers the candidate images of the page (img with its lazy-loading attributes and srcset, <picture> sources,
+   * CSS backgrounds), keeps the largest version of each image and ranks them by how likely they show the product
+   */
+  class ImageCollector {
+    constructor(parser) {
+      this.parser = parser;
+      this.document = parser.document;
+      // Attributes holding a larger version of the image (zoom viewers)
+      this.largeAttributes = ['data-zoom-image', 'data-zoom', 'data-large', 'data-large-image', 'data-hires', 'data-full'];
+      // Attributes lazy-loading scripts keep the image in until it is shown
+      this.lazyAttributes = ['data-src', 'data-lazy', 'data-lazy-src', 'data-original', 'data-img', 'data-image'];
+      this.lazySrcsetAttributes = ['data-srcset', 'data-lazy-srcset'];
+      this.backgroundAttributes = ['data-bg', 'data-background', 'data-background-image'];
+      // Containers whose stylesheet backgrounds are read, the whole page would be too slow
+      this.gallerySelector = [
+        '[class*="gallery"]', '[class*="carousel"]', '[class*="slider"]', '[class*="swiper"]',
+        '[class*="zoom"]', '[class*="product-image"]', '[class*="product-media"]', '[class*="product-photo"]'
+      ].join(', ');
+      this.maxBackgroundElements = 300;
+      this.productHint = /(product|gallery|zoom|carousel|slider|swiper|main-?image|hero|pdp|media)/i;
+      this.decorationHint = /(logo|icon|sprite|banner|badge|avatar|flag|payment|placeholder|spinner|loader|loading|blank|pixel|spacer|tracking|social|rating|stars?\b|emoji|promo)/i;
+      // Query parameters that only change the size or the encoding of an image
+      this.sizeParams = /^(w|h|width|height|size|resize|fit|crop|q|quality|auto|format|fm|dpr|scale|wid|hei|imwidth|imheight)$/i;
+      // Images named by the page metadata come first, in this order, whatever the markup around them scores
+      this.sourceScores = { jsonLd: 400, og: 300, itemprop: 200, twitter: 100, page: 0 };
+      // Shorter data: URIs are lazy-loading placeholders
+      this.minDataUriLength = 1000;
+    }
+
+    /**
+     * Collect the images of the page, best first
+     */
+    collect() {
+      this.candidates = new Map();
+      this.anchors = this.getAnchors();
+      this.titleWords = this.getWords(this.anchors.title ? this.anchors.title.textContent : this.parser.getMetaValue('og:title'));
+
+      const product = this.parser.getJsonLdProduct();
+      if (product) {
+        product.images.forEach(url => this.add(url, 'jsonLd'));
+      }
+      // Shopify and others give the HTTPS address of og:image separately
+      this.add(this.parser.getMetaValue('og:image:secure_url') || this.parser.getMetaValue('og:image'), 'og');
+      this.add(this.parser.getMetaValue('twitter:image'), 'twitter');
+
+      for (const element of this.document.querySelectorAll('[itemprop="image"]')) {
+        if (element.localName === 'img') {
+          this.addImageElement(element, 'itemprop');
+        } else {
+          this.add(element.getAttribute('content') || element.getAttribute('href') || element.getAttribute('src'), 'itemprop', { element });
+        }
+      }
+      for (const img of this.document.getElementsByTagName('img')) {
+        this.addImageElement(img, 'page');
+      }
+      this.addBackgroundImages();
+
+      return Array.from(this.candidates.values())
+        .map(candidate => ({ ...candidate, score: this.score(candidate) }))
+        .filter(candidate => this.isUsable(candidate))
+        .sort((a, b) => b.score - a.score || a.order - b.order)
+        .map(candidate => candidate.url);
+    }
+
+    /**
+     * Add a candidate, versions of an image already seen are merged (the largest one is kept)
+     * @param {Object} details - { element showing the image, width / height of the element,
+     *   descriptorWidth from a srcset, larger: true when the URL is a larger version than the one shown }
+     */
+    add(rawUrl, source, details = {}) {
+      const url = this.resolve(rawUrl);
+      if (!url) return;
+
+      const candidate = {
+        url,
+        source,
+        element: details.element || null,
+        width: details.width || null,
+        height: details.height || null,
+        larger: Boolean(details.larger),
+        // Used to choose between the versions of an image: a URL without size is taken for the original
+        resolution: details.descriptorWidth || this.getUrlWidth(url) || Infinity,
+        order: this.candidates.size
+      };
+
+      const key = this.getKey(url);
+      const existing = this.candidates.get(key);
+      if (!existing) {
+        this.candidates.set(key, candidate);
+        return;
+      }
+
+      if (candidate.resolution > existing.resolution) {
+        existing.url = url;
+        existing.resolution = candidate.resolution;
+        existing.larger = existing.larger || candidate.larger;
+      }
+      if (this.sourceScores[source] > this.sourceScores[existing.source]) {
+        existing.source = source;
+      }
+      if (!existing.element && candidate.element) {
+        existing.element = candidate.element;
+      }
+      if ((candidate.width || 0) > (existing.width || 0)) {
+        existing.width = candidate.width;
+        existing.height = candidate.height;
+      }
+    }
+
+    /**
+     * Add the best version of an <img>: zoom image, largest srcset / <picture> source, lazy-loaded image, src
+     */
+    addImageElement(img, source) {
+      const size = this.getImageSize(img);
+      const large = this.getAttribute(img, this.largeAttributes);
+      if (large) {
+        this.add(large, source, { element: img, ...size, larger: true });
+        return;
+      }
+
+      const sources = [];
+      const picture = img.parentElement && img.parentElement.localName === 'picture' ? img.parentElement : null;
+      if (picture) {
+        for (const sourceElement of picture.getElementsByTagName('source')) {
+          sources.push(...this.parseSrcset(sourceElement.getAttribute('srcset') || sourceElement.getAttribute('data-srcset'), img));
+        }
+      }
+      for (const name of ['srcset', ...this.lazySrcsetAttributes]) {
+        sources.push(...this.parseSrcset(img.getAttribute(name), img));
+      }
+
+      if (sources.length > 0) {
+        const best = sources.reduce((a, b) => (b.width > a.width ? b : a));
+        this.add(best.url, source, { element: img, ...size, descriptorWidth: best.width, larger: true });
+        return;
+      }
+
+      const url = this.getAttribute(img, this.lazyAttributes) || img.getAttribute('src');
+      if (url) {
+        this.add(url, source, { element: img, ...size });
+      }
+    }
+
+    /**
+     * Add the CSS background images: data-bg attributes, inline styles, and the stylesheets of the galleries
+     */
+    addBackgroundImages() {
+      const selector = this.backgroundAttributes.map(name => `[${name}]`).join(', ');
+      for (const element of this.document.querySelectorAll(selector)) {
+        this.add(this.getAttribute(element, this.backgroundAttributes), 'page', { element, ...this.getDisplaySize(element) });
+      }
+
+      for (const element of this.document.querySelectorAll('[style*="background"]')) {
+        this.addBackground(element, element.getAttribute('style'));
+      }
+
+      // Computed styles only exist on a rendered page, not on a fetched document
+      const view = this.document.defaultView;
+      if (!view || typeof view.getComputedStyle !== 'function') return;
+
+      const seen = new Set();
+      for (const container of this.document.querySelectorAll(this.gallerySelector)) {
+        for (const element of [container, ...container.querySelectorAll('*')]) {
+          if (seen.size >= this.maxBackgroundElements) return;
+          if (seen.has(element)) continue;
+          seen.add(element);
+          this.addBackground(element, view.getComputedStyle(element).backgroundImage);
+        }
+      }
+    }
+
+    /**
+     * Add the url() images of a background value
+     */
+    addBackground(element, value) {
+      if (!value || !value.includes('url(')) return;
+      const size = this.getDisplaySize(element);
+      for (const match of value.matchAll(/url\(\s*(['"]?)(.*?)\1\s*\)/g)) {
+        this.add(match[2], 'page', { element, ...size });
+      }
+    }
+
+    /**
+     * Read a srcset: [{ url, width }], densities ("2x") are converted with the width of the image
+     */
+    parseSrcset(srcset, img) {
+      if (!srcset) return [];
+      const baseWidth = parseInt(img.getAttribute('width'), 10) || 400;
+
+      return srcset.split(/,\s+/).map(entry => {
+        const [url, descriptor = '1x'] = entry.trim().split(/\s+/);
+        const value = parseFloat(descriptor) || 1;
+        return { url, width: descriptor.endsWith('w') ? value : Math.round(value * baseWidth) };
+      }).filter(entry => entry.url && !this.isPlaceholder(entry.url));
+    }
+
+    /**
+     * Get the first of some attributes holding a real image
+     */
+    getAttribute(element, names) {
+      for (const name of names) {
+        const value = element.getAttribute(name);
+        if (value && value.trim() && !this.isPlaceholder(value)) return value;
+      }
+      return null;
+    }
+
+    /**
+     * Check whether an image URL is a lazy-loading placeholder (tiny data: image)
+     */
+    isPlaceholder(url) {
+      return url.trim().startsWith('data:') && url.length < this.minDataUriLength;
+    }
+
+    /**
+     * Resolve an image URL, placeholders are dropped
+     */
+    resolve(url) {
+      if (!url || this.isPlaceholder(url)) return null;
+      return url.trim().startsWith('data:image/') ? url.trim() : this.parser.resolveUrl(url);
+    }
+
+    /**
+     * Get the URL shared by the versions of an image, without its size
+     * ("photo-300x300.jpg", "photo_600x.jpg", "photo._AC_SL1500_.jpg", "photo.jpg?width=200" all give "photo.jpg")
+     */
+    getKey(url) {
+      if (url.startsWith('data:')) return url;
+      try {
+        const parsed = new URL(url);
+        for (const name of Array.from(parsed.searchParams.keys())) {
+          if (this.sizeParams.test(name)) parsed.searchParams.delete(name);
+        }
+        const path = parsed.pathname
+          .replace(/\._[^/]*_(?=\.\w+$)/, '')
+          .replace(/[-_](\d+x\d*|x\d+)(?=\.\w+$)/i, '');
+        return `${parsed.host}${path}${parsed.search}`.toLowerCase();
+      } catch (e) {
+        return url;
+      }
+    }
+
+    /**
+     * Get the width written in an image URL, null when there is none
+     */
+    getUrlWidth(url) {
+      if (url.startsWith('data:')) return null;
+      const match = url.match(/\._[^/]*?(?:SL|SX|SY|UL|US|SS|SR)(\d+)/)
+        || url.match(/[-_](\d+)x\d*(?=\.\w+(?:\?|$))/)
+        || url.match(/[?&](?:w|width|wid|imwidth)=(\d+)/i);
+      return match ? parseInt(match[1], 10) : null;
+    }
+
+    /**
+     * Get the size of an <img>: loaded size, displayed size or width / height attributes
+     */
+    getImageSize(img) {
+      if (img.naturalWidth > 1 && img.naturalHeight > 1) {
+        return { width: img.naturalWidth, height: img.naturalHeight };
+      }
+      const displayed = this.getDisplaySize(img);
+      if (displayed.width) return displayed;
+
+      const width = parseInt(img.getAttribute('width'), 10);
+      const height = parseInt(img.getAttribute('height'), 10);
+      return width > 0 && height > 0 ? { width, height } : {};
+    }
+
+    /**
+     * Get the displayed size of an element (empty on a fetched document, nothing is laid out)
+     */
+    getDisplaySize(element) {
+      if (!this.document.defaultView || typeof element.getBoundingClientRect !== 'function') return {};
+      const rect = element.getBoundingClientRect();
+      return rect.width > 0 && rect.height > 0 ? { width: rect.width, height: rect.height } : {};
+    }
+
+    /**
+     * Find the product title and price elements the product image is usually next to
+     */
+    getAnchors() {
+      const title = this.parser.getCustomElement('title')
+        || this.document.querySelector('[itemprop="name"], h1');
+      let price = this.parser.getCustomElement('price') || this.document.querySelector('[itemprop="price"]');
+      for (const selector of this.parser.priceSelectors) {
+        if (price) break;
+        price = Array.from(this.document.querySelectorAll(selector)).find(el => /\d/.test(el.textContent)) || null;
+      }
+      return { title: title === this.document.body ? null : title, price: price === this.document.body ? null : price };
+    }
+
+    /**
+     * Split a text into lowercase words of 3 letters or more
+     */
+    getWords(text) {
+      return (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(word => word.length >= 3);
+    }
+
+    /**
+     * Score an image: its source, its size, the hints of its element and its distance to the title and price
+     */
+    score(candidate) {
+      let score = this.sourceScores[candidate.source];
+
+      // 20 points for a 400px image, at most 30; unknown sizes (lazy images of fetched pages) count a little against
+      const shownSize = candidate.width && candidate.height ? Math.sqrt(candidate.width * candidate.height) : 0;
+      const size = Math.max(shownSize, Number.isFinite(candidate.resolution) ? candidate.resolution : 0);
+      score += size ? Math.min(size / 20, 30) : -10;
+
+      const element = candidate.element;
+      const hints = [candidate.url.startsWith('data:') ? '' : candidate.url];
+      if (element) {
+        hints.push(element.getAttribute('class'), element.id, element.getAttribute('alt'));
+      }
+      if (this.decorationHint.test(hints.join(' '))) score -= 40;
+      if (!element) return score;
+
+      if (element.closest('header, footer, nav, aside, [role="banner"], [role="navigation"], [role="contentinfo"]')) {
+        score -= 30;
+      }
+      if (this.hasAncestorHint(element)) score += 15;
+      if (this.matchesTitle(element.getAttribute('alt'))) score += 15;
+      score += this.getProximityScore(element);
+
+      return score;
+    }
+
+    /**
+     * Check whether the element or one of its close ancestors looks like a product gallery
+     */
+    hasAncestorHint(element) {
+      let current = element;
+      for (let depth = 0; current && current !== this.document.body && depth < 5; depth++) {
+        if (this.productHint.test(`${current.getAttribute('class') || ''} ${current.id || ''}`)) return true;
+        current = current.parentElement;
+      }
+      return false;
+    }
+
+    /**
+     * Check whether an alternative text repeats most of the product title
+     */
+    matchesTitle(alt) {
+      if (!alt || this.titleWords.length === 0) return false;
+      const words = new Set(this.getWords(alt));
+      const shared = this.titleWords.filter(word => words.has(word)).length;
+      return shared / this.titleWords.length >= 0.5;
+    }
+
+    /**
+     * Score the closeness of an element to the title or the price:
+     * 25 points when its parent holds them, 5 less for each level further up
+     */
+    getProximityScore(element) {
+      let best = 0;
+      for (const anchor of [this.anchors.title, this.anchors.price]) {
+        if (!anchor) continue;
+        let current = element.parentElement;
+        for (let level = 0; current && current !== this.document.body && level < 6; level++) {
+          if (current.contains(anchor)) {
+            best = Math.max(best, 25 - level * 5);
+            break;
+          }
+          current = current.parentElement;
+        }
+      }
+      return best;
+    }
+
+    /**
+     * Keep the page images large enough and not too elongated (banners), and leave out the ones that
+     * scored below 0 (logos, icons, images of the header and footer, unknown sizes without any other hint)
+     * The images named by the page metadata are always kept
+     */
+    isUsable(candidate) {
+      if (candidate.source !== 'page') return true;
+      if (candidate.score < 0) return false;
+
+      // A zoom image or a srcset source may be much larger than the element showing it
+      const { width, height } = candidate;
+      const min = this.parser.minDimensionSize;
+      if (!candidate.larger && ((width && width < min) || (height && height < min))) return false;
+      if (width && height) {
+        const ratio = width / height;
+        if (ratio < this.parser.minRatio || ratio > this.parser.maxRatio) return false;
+      }
+      return true;
+    }
+  }
+
+  /**
+   * Page parser to extract product information
+   */
+  class PageParser {
+    /**
+     * @param {Document} doc - Document to parse (the current page by default)
+     * @param {string} url - URL of a fetched document, used to resolve relative URLs and find the site
+     *                       (the live page is read at its current URL)
+     */
+    constructor(doc = document, url = null) {
+      this.document = doc;
+      this.url = url;
+      this.minRatio = 0.5;
+      this.maxRatio = 2.0;
+      this.minDimensionSize = 100;
+      this.priceSelectors = [
+        '.price', '.product-price', '.Price', '#price', 
+        '[class*="price"]', '[class*="Price"]',
+        '.amount', '.cost'
+      ];
+      // Forms holding the variant pickers (Shopify, WooCommerce, Magento, generic)
+      this.productFormSelectors = [
+        'form[action*="/cart/add"]', 'form.variations_form', '#product_addtocart_form',
+        '[data-product-form]', 'form.product-form', '.product-form', 'form[action*="cart"]'
+      ];
+      this.variantFieldPattern = /(variant|option|attribute|colou?r|size|taille|couleur|farbe|gr(ö|oe)(ß|ss)e|talla|tama(ñ|n)o|taglia|colore|tamanho|style|capacity|storage)/i;
+      this.variantParamPattern = /^(attribute_.+|colou?r|size|taille|couleur|farbe|gr(ö|oe)(ß|ss)e|talla|tama(ñ|n)o|taglia|colore|cor|tamanho)$/i;
+      // Class / id hints of crossed-out prices and savings
+      this.originalPriceHint = /(old|was|regular|compare|strike|crossed|original|before|rrp|msrp|uvp|list-?price|a-text-price)/i;
+      this.savingHint = /(you-?save|saving|discount|reduction|badge|percent)/i;
+      this.savingText = /(you save|économisez|sie sparen|ahorra|risparmi|poupe|^\s*-\s*\d+\s*%)/i;
+      // "12,50 € / kg", "4.99 per 100 g", "(2,99 €/l)"
+      this.unitPricePattern = /(\d[\d\s.,'’]*\s*[^\d\s/()]{0,4}\s*)(?:\/|\bper\b|\bpro\b|\bpar\b|\bpor\b|\bal\b)\s*(\d*\s*(?:kg|g|l|ml|cl|m²|m2|m|lb|oz|stück|stk|unit|pièce|pc|pcs))(?![a-z])/i;
+      this.productSelector = '[itemscope][itemtype*="schema.org/Product"]';
+      // Listing pages are cut to this many products
+      this.maxListedProducts = 100;
+      this.customRule = null; // Rule of the user for this site (see extraction-rules.js), set by the caller
+      this.siteAdapter = undefined; // Resolved lazily by getSiteAdapter()
+      this.jsonLdProduct = undefined; // Resolved lazily by getJsonLdProduct()
+      this.priceCandidates = null; // Resolved lazily by getPriceCandidates()
+    }
+
+    /**
+     * Parse the current page and return the extracted information
+     */
+    parseCurrentPage() {
+      // The page may have changed since the last call (single-page shops)
+      this.jsonLdProduct = undefined;
+      this.priceCandidates = null;
+      const product = this.getJsonLdProduct() || {};
+      const priceInfo = this.getPriceInfo();
+      const unitPrice = this.getUnitPrice();
+      const variant = this.getSelectedVariant();
+
+      const info = {
+        url: this.getCanonicalUrl(),
+        title: this.getTitle(),
+        description: this.getDescription(),
+        images: this.getImages(),
+        price: priceInfo.price,
+        priceConfidence: priceInfo.confidence,
+        originalPrice: this.getOriginalPrice(),
+        unitPrice: unitPrice ? unitPrice.price : null,
+        unitPriceUnit: unitPrice ? unitPrice.unit : null,
+        currency: this.getCurrency(),
+        brand: product.brand || null,
+        gtin: product.gtin || null,
+        sku: product.sku || null,
+        mpn: product.mpn || null,
+        availability: product.availability || null,
+        variant
+      };
+
+      // The selected variant overrides the generic product data, not the fields of a rule of the user
+      if (variant) {
+        if (variant.name && !this.getCustomFieldRule('title')) info.title = this.cleanString(variant.name);
+        if (variant.price !== null && !this.getCustomFieldRule('price')) {
+          info.price = variant.price;
+          info.priceConfidence = 1;
+        }
+        if (variant.image && !this.getCustomFieldRule('image')) {
+          info.images = [variant.image, ...info.images.filter(image => image !== variant.image)];
+        }
+        if (variant.sku) info.sku = variant.sku;
+        if (variant.gtin) info.gtin = variant.gtin;
+        if (variant.availability) info.availability = variant.availability;
+      }
+
+      return info;
+    }
+
+    /**
+     * Find the products listed on the page (search results, categories, other people's wishlists, carts)
+     * Sources are tried in order: site adapter, JSON-LD ItemList, repeated microdata products
+     * Returns [{ url, title, images, price, currency }], empty when the page shows a single product
+     */
+    parseProductList() {
+      const sources = [
+        () => this.runAdapter('getProducts'),
+        () => this.getJsonLdProductList(),
+        () => this.getMicrodataProducts()
+      ];
+
+      for (const source of sources) {
+        const products = this.normalizeListedProducts(source() || []);
+        if (products.length >= 2) return products;
+      }
+
+      return [];
+    }
+
+    /**
+     * Get the products listed in JSON-LD (see JsonLdProductExtractor.extractList)
+     */
+    getJsonLdProductList() {
+      try {
+        return new JsonLdProductExtractor(this).extractList();
+      } catch (e) {
+        console.warn('Wishlist: JSON-LD list extraction failed:', e);
+        return [];
+      }
+    }
+
+    /**
+     * Get the product cards marked up with microdata (outermost itemscope Product elements)
+     */
+    getMicrodataProducts() {
+      const cards = Array.from(this.document.querySelectorAll(this.productSelector))
+        .filter(card => !card.parentElement || !card.parentElement.closest(this.productSelector));
+
+      return cards.map(card => {
+        const prop = name => card.querySelector(`[itemprop="${name}"]`);
+        const name = prop('name');
+        const link = prop('url') || card.querySelector('a[href]');
+        const image = prop('image') || card.querySelector('img[src]');
+        const price = prop('price') || prop('lowPrice');
+        const currencyEl = prop('priceCurrency');
+        const currency = currencyEl ? (currencyEl.getAttribute('content') || currencyEl.textContent) : null;
+
+        return {
+          title: name ? (name.getAttribute('content') || name.textContent) : null,
+          url: link ? (link.getAttribute('href') || link.getAttribute('content')) : null,
+          images: image ? [image.getAttribute('src') || image.getAttribute('content') || image.getAttribute('href')] : [],
+          price: price ? this.parseListedPrice(price.getAttribute('content') || price.textContent, currency) : null,
+          currency
+        };
+      });
+    }
+
+    /**
+     * Parse a price of a listed product: machine format ("29.99") or displayed text
+     */
+    parseListedPrice(value, currency = null) {
+      if (typeof value === 'number') return isFinite(value) && value > 0 ? value : null;
+      if (!value) return null;
+
+      const text = String(value).trim();
+      const price = /^\d+(\.\d+)?$/.test(text) ? parseFloat(text) : this.parsePrice(text, currency);
+      return price > 0 ? price : null;
+    }
+
+    /**
+     * Clean the products found by a source: absolute URLs, known currencies, no duplicates,
+     * products without a link or a name are dropped
+     */
+    normalizeListedProducts(products) {
+      const pageCurrency = products.some(product => product.price && !product.currency) ? this.getCurrency() : null;
+      const seenUrls = new Set();
+      const normalized = [];
+
+      for (const product of products) {
+        const url = this.resolveUrl(product.url || '');
+        const title = this.cleanString(product.title);
+        if (!url || !title || seenUrls.has(url)) continue;
+        seenUrls.add(url);
+
+        const price = this.parseListedPrice(product.price, product.currency);
+        normalized.push({
+          url,
+          title,
+          images: (product.images || []).map(image => this.resolveUrl(image || '')).filter(Boolean),
+          price,
+          currency: price !== null
+            ? window.currencies.normalizeCode(product.currency || '') || pageCurrency
+            : null
+        });
+
+        if (normalized.length >= this.maxListedProducts) break;
+      }
+
+      return normalized;
+    }
+
+    /**
+     * Get the schema.org Product described in JSON-LD (see JsonLdProductExtractor)
+     */
+    getJsonLdProduct() {
+      if (this.jsonLdProduct === undefined) {
+        try {
+          this.jsonLdProduct = new JsonLdProductExtractor(this).extract();
+        } catch (e) {
+          console.warn('Wishlist: JSON-LD extraction failed:', e);
+          this.jsonLdProduct = null;
+        }
+      }
+      return this.jsonLdProduct;
+    }
+
+    /**
+     * URL of the parsed page, read at each use: single-page shops change it with history.pushState
+     */
+    get location() {
+      return new URL(this.url || this.document.URL);
+    }
+
+    /**
+     * Get the site adapter matching the current hostname (see site-adapters.js)
+     */
+    getSiteAdapter() {
+      if (this.siteAdapter === undefined) {
+        this.siteAdapter = window.siteAdapters ? window.siteAdapters.find(this.location.hostname) : null;
+      }
+      return this.siteAdapter;
+    }
+
+    /**
+     * Run an extractor of the site adapter, returns null if unavailable or failing
+     */
+    runAdapter(method) {
+      const adapter = this.getSiteAdapter();
+      if (!adapter || typeof adapter[method] !== 'function') return null;
+
+      try {
+        const value = adapter[method](this);
+        return value === undefined ? null : value;
+      } catch (e) {
+        console.warn(`Wishlist: site adapter "${adapter.name}" failed in ${method}:`, e);
+        return null;
+      }
+    }
+
+    /**
+     * Get the rule of the user for a field on this site: { selector, attribute, regex }, or null
+     */
+    getCustomFieldRule(field) {
+      return (this.customRule && this.customRule.fields && this.customRule.fields[field]) || null;
+    }
+
+    /**
+     * Get the element of a field chosen by the user for this site, or null
+     * A rule with a regular expression and no selector reads the whole page
+     */
+    getCustomElement(field) {
+      const fieldRule = this.getCustomFieldRule(field);
+      if (!fieldRule) return null;
+      if (!fieldRule.selector) return fieldRule.regex ? this.document.body : null;
+
+      try {
+        return this.document.querySelector(fieldRule.selector);
+      } catch (e) {
+        console.warn(`Wishlist: invalid selector for ${field}:`, fieldRule.selector);
+        return null;
+      }
+    }
+
+    /**
+     * Get the raw text of a field in an element: the attribute asked for, or what the field usually lives in
+     */
+    getElementText(field, element, attribute = null) {
+      if (attribute) return element.getAttribute(attribute) || '';
+
+      if (field === 'image') {
+        const backgroundImage = (element.style && element.style.backgroundImage || '').match(/url\(["']?([^"')]+)["']?\)/);
+        return element.currentSrc || element.getAttribute('src') || element.getAttribute('content') ||
+          element.getAttribute('href') || (backgroundImage ? backgroundImage[1] : '');
+      }
+      return element.getAttribute('content') || element.textContent || '';
+    }
+
+    /**
+     * Read the value of a field from an element (a rule of the user, or an element picked on the page)
+     * @param {string} field - 'title', 'price', 'currency', 'image' or 'description'
+     * @param {Element} element
+     * @param {Object} options - { attribute, regex } of a rule
+     * @returns {string|number|null} The text, the price, the currency code or the image URL
+     */
+    getElementValue(field, element, options = {}) {
+      let text = this.getElementText(field, element, options.attribute);
+
+      if (options.regex) {
+        let match = null;
+        try {
+          match = text.match(new RegExp(options.regex, 'i'));
+        } catch (e) {
+          console.warn(`Wishlist: invalid regular expression for ${field}:`, options.regex);
+        }
+        if (!match) return null;
+        text = match[1] !== undefined ? match[1] : match[0];
+      }
+
+      switch (field) {
+        case 'title':
+        case 'description':
+          return this.cleanString(text) || null;
+        case 'price':
+          return this.parsePrice(text, this.getCurrency());
+        case 'currency':
+          return window.currencies.normalizeCode(text) ||
+            window.currencyDetector.fromText(text, window.currencyDetector.countryFromHostname(this.location.hostname));
+        case 'image':
+          return this.resolveUrl(text);
+        default:
+          return null;
+      }
+    }
+
+    /**
+     * Read a field with the rule of the user for this site, null when there is none or it finds nothing
+     */
+    runCustomRule(field) {
+      const element = this.getCustomElement(field);
+      return element ? this.getElementValue(field, element, this.getCustomFieldRule(field)) : null;
+    }
+
+    /**
+     * Get the canonical URL or the current URL
+     */
+    getCanonicalUrl() {
+      const canonical = this.document.querySelector('link[rel="canonical"]');
+      if (canonical && canonical.href) {
+        return canonical.href;
+      }
+      const ogUrl = this.getMetaValue('og:url');
+      if (ogUrl) {
+        return ogUrl;
+      }
+      return this.location.href;
+    }
+
+    /**
+     * Get the product title
+     */
+    getTitle() {
+      // Rule of the user first
+      const customTitle = this.runCustomRule('title');
+      if (customTitle) return customTitle;
+
+      // Site adapter
+      const adapterTitle = this.runAdapter('getTitle');
+      if (adapterTitle) return this.cleanString(adapterTitle);
+
+      // JSON-LD Product name
+      const jsonLdProduct = this.getJsonLdProduct();
+      if (jsonLdProduct && jsonLdProduct.name) return this.cleanString(jsonLdProduct.name);
+
+      // Priority: og:title > h1 > title
+      const ogTitle = this.getMetaValue('og:title');
+      if (ogTitle) return this.cleanString(ogTitle);
+
+      const productTitle = this.document.querySelector('[itemprop="name"]');
+      if (productTitle) return this.cleanString(productTitle.textContent);
+
+      const h1 = this.document.querySelector('h1');
+      if (h1) return this.cleanString(h1.textContent);
+
+      return this.cleanString(this.document.title);
+    }
+
+    /**
+     * Get the description
+     */
+    getDescription() {
+      // Rule of the user first
+      const customDesc = this.runCustomRule('description');
+      if (customDesc) return customDesc;
+
+      // Site adapter
+      const adapterDesc = this.runAdapter('getDescription');
+      if (adapterDesc) return this.cleanString(adapterDesc);
+
+      const jsonLdProduct = this.getJsonLdProduct();
+      if (jsonLdProduct && jsonLdProduct.description) return this.cleanString(jsonLdProduct.description);
+
+      const ogDesc = this.getMetaValue('og:description');
+      if (ogDesc) return this.cleanString(ogDesc);
+
+      const metaDesc = this.getMetaValue('description');
+      if (metaDesc) return this.cleanString(metaDesc);
+
+      const productDesc = this.document.querySelector('[itemprop="description"]');
+      if (productDesc) return this.cleanString(productDesc.textContent);
+
+      return '';
+    }
+
+    /**
+     * Get images from the page
+     */
+    getImages() {
+      const images = this.getPageImages();
+
+      // The image of the user's rule comes first
+      const customImage = this.runCustomRule('image');
+      return customImage ? [customImage, ...images.filter(image => image !== customImage)] : images;
+    }
+
+    /**
+     * Get the images found by the site adapter or the generic extraction
+     */
+    getPageImages() {
+      // Site adapter first
+      const adapterImages = this.runAdapter('getImages');
+      if (adapterImages && adapterImages.length > 0) {
+        return adapterImages;
+      }
+
+      return new ImageCollector(this).collect();
+    }
+
+    /**
+     * Get the price
+     */
+    getPrice() {
+      return this.getPriceInfo().price;
+    }
+
+    /**
+     * Get the price with a confidence between 0 and 1 (see price-parser.js)
+     * Structured sources are trusted more than DOM heuristics
+     */
+    getPriceInfo() {
+      const currency = this.getCurrency();
+
+      // Rule of the user first
+      const customPrice = this.runCustomRule('price');
+      if (customPrice !== null) return { price: customPrice, confidence: 1 };
+
+      // Site adapter
+      const adapterPrice = this.runAdapter('getPrice');
+      if (adapterPrice !== null) return { price: adapterPrice, confidence: 0.9 };
+
+      // JSON-LD Product offers
+      const jsonLdProduct = this.getJsonLdProduct();
+      if (jsonLdProduct && jsonLdProduct.price !== null) return { price: jsonLdProduct.price, confidence: 1 };
+
+      // Schema.org price (content attribute has priority)
+      const schemaPrice = this.document.querySelector('[itemprop="price"]');
+      if (schemaPrice && !this.isOriginalPriceElement(schemaPrice)) {
+        // Prefer the content attribute which is generally clean
+        const result = this.parsePriceWithConfidence(schemaPrice.content || schemaPrice.textContent, currency);
+        if (result) return result;
+      }
+
+      // Meta product:price
+      const metaPrice = this.getMetaValue('product:price:amount') || 
+                        this.getMetaValue('og:price:amount');
+      if (metaPrice) {
+        const result = this.parsePriceWithConfidence(metaPrice, currency);
+        if (result) return result;
+      }
+
+      // Heuristic search in the DOM: first price that is not crossed out, a saving or a unit price
+      const candidate = this.getPriceCandidates().find(c => c.kind === 'current');
+      if (candidate) {
+        return { price: candidate.price, confidence: candidate.confidence * 0.6 };
+      }
+
+      return { price: null, confidence: 0 };
+    }
+
+    /**
+     * Get the original (crossed-out) price when the product is on sale, or null
+     */
+    getOriginalPrice() {
+      const currentPrice = this.getPrice();
+      const isHigher = (price) => price !== null && (currentPrice === null || price > currentPrice);
+
+      const adapterPrice = this.runAdapter('getOriginalPrice');
+      if (isHigher(adapterPrice)) return adapterPrice;
+
+      const jsonLdProduct = this.getJsonLdProduct();
+      if (jsonLdProduct && isHigher(jsonLdProduct.originalPrice)) return jsonLdProduct.originalPrice;
+
+      const candidate = this.getPriceCandidates().find(c => c.kind === 'original' && isHigher(c.price));
+      return candidate ? candidate.price : null;
+    }
+
+    /**
+     * Get the price per unit (e.g. per kg) as { price, unit }, or null
+     */
+    getUnitPrice() {
+      const adapterUnitPrice = this.runAdapter('getUnitPrice');
+      if (adapterUnitPrice && adapterUnitPrice.price !== null) return adapterUnitPrice;
+
+      const jsonLdProduct = this.getJsonLdProduct();
+      if (jsonLdProduct && jsonLdProduct.unitPrice !== null) {
+        return { price: jsonLdProduct.unitPrice, unit: jsonLdProduct.unitPriceUnit };
+      }
+
+      const candidate = this.getPriceCandidates().find(c => c.kind === 'unit');
+      return candidate ? { price: candidate.price, unit: candidate.unit } : null;
+    }
+
+    /**
+     * Collect the price-like elements of the page and classify them
+     * Returns [{ kind: 'current' | 'original' | 'saving' | 'unit', price, confidence, unit }]
+     */
+    getPriceCandidates() {
+      if (this.priceCandidates) return this.priceCandidates;
+
+      const currency = this.getCurrency();
+      const candidates = [];
+      const seen = new Set();
+
+      const addCandidate = (kind, text, unit = null) => {
+        const result = this.parsePriceWithConfidence(text, currency);
+        if (!result || result.price <= 0) return;
+        candidates.push({ kind, price: result.price, confidence: result.confidence, unit });
+      };
+
+      for (const selector of ['[itemprop="price"]', ...this.priceSelectors]) {
+        for (const el of this.document.querySelectorAll(selector)) {
+          if (seen.has(el) || candidates.length >= 40) continue;
+          seen.add(el);
+
+          const text = el.textContent;
+          if (!/\d/.test(text) || text.length > 200) continue;
+
+          if (this.isOriginalPriceElement(el)) {
+            addCandidate('original', text);
+          } else if (this.isSavingElement(el)) {
+            addCandidate('saving', text);
+          } else {
+            // Containers often hold several prices ("<del>29,99</del> 19,99 (9,99/kg)"): split them
+            for (const struckEl of el.querySelectorAll('del, s, strike')) {
+              addCandidate('original', struckEl.textContent);
+            }
+
+            let ownText = this.getTextWithout(el, 'del, s, strike');
+            const unitMatch = ownText.match(this.unitPricePattern);
+            if (unitMatch) {
+              addCandidate('unit', unitMatch[1], unitMatch[2].replace(/\s+/g, ' ').trim());
+              ownText = ownText.replace(unitMatch[0], ' ');
+            }
+            if (/\d/.test(ownText)) {
+              addCandidate('current', ownText);
+            }
+          }
+        }
+      }
+
+      this.priceCandidates = candidates;
+      return candidates;
+    }
+
+    /**
+     * Check whether an element shows a crossed-out / regular price
+     */
+    isOriginalPriceElement(el) {
+      if (el.closest('del, s, strike')) return true;
+
+      const hints = `${el.getAttribute('class') || ''} ${el.id || ''} ${el.parentElement ? el.parentElement.getAttribute('class') || '' : ''}`;
+      if (this.originalPriceHint.test(hints)) return true;
+
+      // Documents fetched in the background are not rendered and have no computed style
+      const view = this.document.defaultView;
+      if (!view) return false;
+
+      try {
+        const style = view.getComputedStyle(el);
+        return (style.textDecorationLine || style.textDecoration || '').includes('line-through');
+      } catch (e) {
+        return false;
+      }
+    }
+
+    /**
+     * Check whether an element shows a saving ("You save 10 €", "-20%")
+     */
+    isSavingElement(el) {
+      const hints = `${el.getAttribute('class') || ''} ${el.id || ''}`;
+      return this.savingHint.test(hints) || this.savingText.test(el.textContent);
+    }
+
+    /**
+     * Get the text of an element, ignoring the descendants matching a selector
+     */
+    getTextWithout(el, selector) {
+      if (!el.querySelector(selector)) return el.textContent;
+      const clone = el.cloneNode(true);
+      clone.querySelectorAll(selector).forEach(child => child.remove());
+      return clone.textContent;
+    }
+
+    /**
+     * Get the variant selected on the page (size, colour...)
+     * Returns { name, options: [{ name, value }], image, price, sku, gtin, availability } or null
+     */
+    getSelectedVariant() {
+      const adapterVariant = this.runAdapter('getVariant');
+      const options = (adapterVariant && adapterVariant.options) || this.getSelectedOptions();
+
+      const jsonLdProduct = this.getJsonLdProduct();
+      const match = jsonLdProduct ? this.matchJsonLdVariant(jsonLdProduct.variants, options) : null;
+
+      if (!match && options.length === 0 && !adapterVariant) return null;
+
+      const base = adapterVariant || {};
+      const variant = {
+        name: base.name || null,
+        options,
+        image: base.image || null,
+        price: typeof base.price === 'number' ? base.price : null,
+        sku: base.sku || null,
+        gtin: base.gtin || null,
+        availability: base.availability || null
+      };
+
+      if (match) {
+        variant.name = variant.name || match.name;
+        variant.image = variant.image || (match.images[0] ? this.resolveUrl(match.images[0]) : null);
+        variant.price = variant.price !== null ? variant.price : match.price;
+        variant.sku = variant.sku || match.sku;
+        variant.gtin = variant.gtin || match.gtin;
+        variant.availability = variant.availability || match.availability;
+        if (variant.options.length === 0) {
+          variant.options = Object.entries(match.properties).map(([name, value]) => ({ name, value }));
+        }
+      }
+
+      return variant;
+    }
+
+    /**
+     * Find the JSON-LD variant matching the URL (?variant=, ?sku=) or the selected options
+     */
+    matchJsonLdVariant(variants, options) {
+      if (!variants || variants.length === 0) return null;
+
+      const currentUrl = new URL(this.location.href);
+      const params = currentUrl.searchParams;
+
+      // 1. Variant URL whose query parameters are all present in the current URL
+      const byUrl = variants.find(variant => {
+        if (!variant.url) return false;
+        try {
+          const variantUrl = new URL(variant.url, this.location.href);
+          const variantParams = [...variantUrl.searchParams.entries()];
+          return variantParams.length > 0 && variantParams.every(([key, value]) => params.get(key) === value);
+        } catch (e) {
+          return false;
+        }
+      });
+      if (byUrl) return byUrl;
+
+      // 2. SKU / id in the query string
+      const paramValues = [...params.values()];
+      const bySku = variants.find(variant => variant.sku && paramValues.includes(variant.sku));
+      if (bySku) return bySku;
+
+      // 3. Every selected option value found in the variant properties or name
+      if (options.length === 0) return null;
+      const normalize = (str) => String(str).trim().toLowerCase();
+      const values = options.map(option => normalize(option.value));
+
+      return variants.find(variant => {
+        const haystack = [
+          ...Object.values(variant.properties).map(normalize),
+          normalize(variant.name || '')
+        ];
+        return values.every(value => haystack.some(text => text === value || text.includes(value)));
+      }) || null;
+    }
+
+    /**
+     * Get the options selected in the product form (selects, radios, swatches)
+     * and the named options of the URL (?color=blue&size=xl)
+     */
+    getSelectedOptions() {
+      const options = [];
+      const addOption = (name, value) => {
+        name = this.cleanOptionName(name);
+        value = this.cleanString(value);
+        if (!name || !value || value.length > 60) return;
+        if (options.some(option => option.name.toLowerCase() === name.toLowerCase())) return;
+        options.push({ name, value });
+      };
+
+      // Without a product form, only keep fields that look like variant pickers
+      const form = this.document.querySelector(this.productFormSelectors.join(', '));
+      const scope = form || this.document;
+      const isVariantField = (field, name) => form || this.variantFieldPattern.test(`${name} ${field.name || ''} ${field.id || ''}`);
+
+      // Drop-downs (skip quantity and placeholders like "Choose a size")
+      for (const select of scope.querySelectorAll('select')) {
+        if (/qty|quantity/i.test(`${select.name} ${select.id}`)) continue;
+        const option = select.options[select.selectedIndex];
+        if (!option || !option.value || option.disabled) continue;
+        const name = this.getFieldLabel(select);
+        if (isVariantField(select, name)) addOption(name, option.textContent);
+      }
+
+      // Radio buttons
+      for (const radio of scope.querySelectorAll('input[type="radio"]:checked')) {
+        const label = (radio.labels && radio.labels[0]) || radio.closest('label');
+        const fieldset = radio.closest('fieldset');
+        const legend = fieldset ? fieldset.querySelector('legend') : null;
+        const name = legend ? legend.textContent : radio.name;
+        if (isVariantField(radio, name)) addOption(name, (label && label.textContent.trim()) || radio.value);
+      }
+
+      // Swatches (custom widgets)
+      const swatchSelector = form
+        ? '[role="radio"][aria-checked="true"], [aria-pressed="true"], .swatch.selected, .swatch-option.selected'
+        : '[role="radiogroup"] [role="radio"][aria-checked="true"], .swatch.selected, .swatch-option.selected';
+      const swatches = scope.querySelectorAll(swatchSelector);
+      for (const swatch of swatches) {
+        const group = swatch.closest('[role="radiogroup"], [data-option-name], .swatch-attribute');
+        const name = group ? (group.getAttribute('aria-label') || group.getAttribute('data-option-name') ||
+                              group.getAttribute('data-attribute-code')) : null;
+        addOption(name, swatch.getAttribute('aria-label') || swatch.getAttribute('title') ||
+                        swatch.getAttribute('data-value') || swatch.getAttribute('option-label') || swatch.textContent);
+      }
+
+      // Query string
+      const params = new URL(this.location.href).searchParams;
+      for (const [key, value] of params) {
+        if (this.variantParamPattern.test(key)) addOption(key, value);
+      }
+
+      return options;
+    }
+
+    /**
+     * Get the label of a form field
+     */
+    getFieldLabel(field) {
+      const label = field.labels && field.labels[0];
+      return (label && label.textContent) || field.getAttribute('aria-label') || field.name || '';
+    }
+
+    /**
+     * Clean an option name ("attribute_pa_color" -> "color", "options[Size]" -> "Size", "Colour:" -> "Colour")
+     */
+    cleanOptionName(name) {
+      if (!name) return '';
+      return this.cleanString(String(name))
+        .replace(/^attribute_(pa_)?/i, '')
+        .replace(/^.*\[(.+)\]$/, '$1')
+        .replace(/[*:]+\s*$/, '')
+        .replace(/[_-]+/g, ' ')
+        .trim();
+    }
+
+    /**
+     * Get the currency
+     */
+    getCurrency() {
+      // Rule of the user first
+      const customCurrency = this.runCustomRule('currency');
+      if (customCurrency) return customCurrency;
+
+      // Site adapter
+      const adapterCurrency = this.runAdapter('getCurrency');
+      if (adapterCurrency) return adapterCurrency;
+
+      // JSON-LD Product offers
+      const jsonLdProduct = this.getJsonLdProduct();
+      if (jsonLdProduct && jsonLdProduct.currency) {
+        const currency = window.currencies.normalizeCode(jsonLdProduct.currency);
+        if (currency) return currency;
+      }
+
+      // Schema.org
+      const schemaCurrency = this.document.querySelector('[itemprop="priceCurrency"]');
+      if (schemaCurrency) {
+        const currency = window.currencies.normalizeCode(schemaCurrency.content || schemaCurrency.textContent);
+        if (currency) return currency;
+      }
+
+      // Meta
+      const metaCurrency = window.currencies.normalizeCode(
+        this.getMetaValue('product:price:currency') || this.getMetaValue('og:price:currency')
+      );
+      if (metaCurrency) return metaCurrency;
+
+      // Symbol or code next to the displayed price, then domain TLD and page language
+      return window.currencyDetector.detect({
+        text: this.getPriceText(),
+        locale: this.getPageLocale(),
+        hostname: this.location.hostname
+      });
+    }
+
+    /**
+     * Get the text around the displayed price (used to spot currency symbols)
+     */
+    getPriceText() {
+      // Element of the user's price rule
+      const priceRule = this.getCustomFieldRule('price');
+      const customElement = priceRule && priceRule.selector ? this.getCustomElement('price') : null;
+      if (customElement) return customElement.textContent;
+
+      const selectors = ['[itemprop="price"]', ...this.priceSelectors];
+
+      for (const selector of selectors) {
+        const el = this.document.querySelector(selector);
+        if (!el || !/\d/.test(el.textContent)) continue;
+
+        // The symbol is sometimes in a sibling span ("<span>CHF</span><span itemprop=price>")
+        const parentText = el.parentElement ? el.parentElement.textContent : '';
+        return parentText.length < 100 ? `${el.textContent} ${parentText}` : el.textContent;
+      }
+
+      return '';
+    }
+
+    /**
+     * Parse a price string and return a number
+     */
+    parsePrice(priceStr, currency = null) {
+      const result = this.parsePriceWithConfidence(priceStr, currency);
+      return result ? result.price : null;
+    }
+
+    /**
+     * Parse a price string using the page language and the currency decimals
+     * Returns { price, confidence } or null
+     */
+    parsePriceWithConfidence(priceStr, currency = null) {
+      if (!priceStr) return null;
+
+      const result = window.priceParser.parse(priceStr.toString(), {
+        locale: this.getPageLocale(),
+        currency
+      });
+      return result ? { price: result.value, confidence: result.confidence } : null;
+    }
+
+    /**
+     * Get the language of the page (e.g. "de-CH"), or null
+     */
+    getPageLocale() {
+      const lang = this.document.documentElement.getAttribute('lang') ||
+                   this.getMetaValue('og:locale');
+      return lang ? lang.trim().replace('_', '-') : null;
+    }
+
+    /**
+     * Get the value of a meta tag
+     */
+    getMetaValue(name) {
+      const metas = this.document.getElementsByTagName('meta');
+      for (const meta of metas) {
+        if (meta.getAttribute('property') === name || 
+            meta.getAttribute('name') === name) {
+          return meta.content;
+        }
+      }
+      return null;
+    }
+
+    /**
+     * Resolve a relative URL to an absolute URL
+     * Returns null for the other schemes (javascript:, data:, mailto:...), they are not pages or images to save
+     */
+    resolveUrl(url) {
+      if (!url || !url.trim()) return null;
+      
+      url = url.trim();
+
+      // Already an absolute URL
+      if (url.startsWith('http://') || url.startsWith('https://')) {
+        return url;
+      }
+
+      // Protocol-relative URL
+      if (url.startsWith('//')) {
+        return this.location.protocol + url;
+      }
+
+      // Relative URL
+      try {
+        const resolved = new URL(url, this.location.href);
+        return resolved.protocol === 'http:' || resolved.protocol === 'https:' ? resolved.href : null;
+      } catch (e) {
+        return null;
+      }
+    }
+
+    /**
+     * Clean a string
+     */
+    cleanString(str) {
+      if (!str) return '';
+      return str.trim()
+        .replace(/\s+/g, ' ')
+        .replace(/[\n\r\t]/g, ' ');
+    }
+  }
+
+  // Export for the content script and the background script
+  window.PageParser = PageParser;
+})();
@@ -6,23 +6,54 @@
 (function() {
   'use strict';
 
+  // Form saved while the user picks an element on the page (the popup closes meanwhile), see content.js
+  const PICKER_DRAFT_KEY = 'pickerDraft';
+  // Drafts older than this are left aside: the user gave up picking
+  const PICKER_DRAFT_MAX_AGE = 10 * 60 * 1000;
+  // Pasted, dropped and captured images travel in the item as data: URLs until it is sent, keep them small
+  const LOCAL_IMAGE_MAX_SIZE = 1200;
+  // Smaller crop selections are taken for a click, the whole capture is used
+  const MIN_CROP_SIZE = 10;
+
   // Application state
   let state = {
     config: {
+      profileId: null,
       serverUrl: '',
       apiKey: '',
       lists: []
     },
+    profiles: [],
     currentItem: {
       url: '',
+      originalUrl: '',
       title: '',
       description: '',
       images: [],
       price: null,
+      originalPrice: null,
+      unitPrice: null,
+      unitPriceUnit: null,
       currency: 'EUR',
+      variant: null,
       selectedImageIndex: 0
     },
-    selectedListId: ''
+    selectedListId: '',
+    // Tab the item comes from, or the link read without opening it
+    tabId: null,
+    linkUrl: null,
+    // Value picked on the page, until it is saved as a rule for the site
+    picked: null,
+    // Part of the screenshot kept as image ({ left, top, width, height } in displayed pixels), while it is dragged
+    crop: null,
+    // Tab whose page lists several products
+    productListTabId: null,
+    // Item already on one of the selected lists, and the lists the user chose to add it to anyway
+    duplicate: null,
+    allowDuplicateLists: [],
+    // Existing item being edited, and the form values it was loaded with
+    editingItem: null,
+    editingValues: null
   };
 
   // DOM elements
@@ -44,6 +75,7 @@
     
     initElements();
     initEventListeners();
+    populateCurrencyOptions();
     
     // Load configuration
     const configLoaded = await loadConfig();
@@ -53,8 +85,8 @@
       return;
     }
 
-    // Extract information from the current page
-    await extractPageInfo();
+    // Extract information from the link chosen in the context menu, or from the current page
+    await extractPageInfo(await takePendingLink());
   });
 
   /**
@@ -71,10 +103,21 @@
     
     elements.itemForm = document.getElementById('item-form');
     elements.titleInput = document.getElementById('title');
+    elements.urlInput = document.getElementById('url');
+    elements.urlCleaned = document.getElementById('url-cleaned');
+    elements.linkNotice = document.getElementById('link-notice');
+    elements.urlToggle = document.getElementById('url-toggle');
     elements.priceInput = document.getElementById('price');
-    elements.currencySelect = document.getElementById('currency');
+    elements.currencyInput = document.getElementById('currency');
+    elements.currencyOptions = document.getElementById('currency-options');
+    elements.priceChoices = document.getElementById('price-choices');
     elements.noteInput = document.getElementById('note');
+    elements.quantityInput = document.getElementById('quantity');
+    elements.mostWantedInput = document.getElementById('most-wanted');
+    elements.listLabel = document.getElementById('list-label');
     elements.listSelect = document.getElementById('list-select');
+    elements.multiListHelp = document.getElementById('multi-list-help');
+    elements.profileSelect = document.getElementById('profile-select');
     elements.refreshListsBtn = document.getElementById('refresh-lists-btn');
     elements.selectedImageInput = document.getElementById('selected-image');
     
@@ -83,14 +126,52 @@
     elements.imageCounter = document.getElementById('image-counter');
     elements.prevImageBtn = document.getElementById('prev-image');
     elements.nextImageBtn = document.getElementById('next-image');
+    elements.imageGallery = document.querySelector('.image-gallery');
+    elements.imagePanel = document.getElementById('image-panel');
+    elements.imageThumbs = document.getElementById('image-thumbs');
+    elements.imageUrlInput = document.getElementById('image-url-input');
+    elements.imageUrlBtn = document.getElementById('image-url-btn');
+    elements.captureBtn = document.getElementById('capture-btn');
+    elements.cropArea = document.getElementById('crop-area');
+    elements.cropFrame = document.getElementById('crop-frame');
+    elements.cropImage = document.getElementById('crop-image');
+    elements.cropSelection = document.getElementById('crop-selection');
+    elements.cropUseBtn = document.getElementById('crop-use-btn');
+    elements.cropCancelBtn = document.getElementById('crop-cancel-btn');
     
     elements.addButton = document.getElementById('add-button');
     elements.addButtonText = document.getElementById('add-button-text');
+    elements.deleteButton = document.getElementById('delete-button');
     elements.openWishlistBtn = document.getElementById('open-wishlist');
     elements.openSelectedListBtn = document.getElementById('open-selected-list-btn');
     elements.openOptionsLink = document.getElementById('open-options');
+    elements.bulkAddLink = document.getElementById('bulk-add-link');
+    elements.productListHint = document.getElementById('product-list-hint');
+    elements.productListLink = document.getElementById('product-list-link');
+    elements.linkSection = document.getElementById('link-section');
+    elements.linkToggle = document.getElementById('link-toggle');
+    elements.linkForm = document.getElementById('link-form');
+    elements.linkInput = document.getElementById('link-input');
+    
+    elements.duplicateWarning = document.getElementById('duplicate-warning');
+    elements.duplicateMessage = document.getElementById('duplicate-message');
+    elements.addAnywayBtn = document.getElementById('add-anyway-btn');
+    elements.openExistingBtn = document.getElementById('open-existing-btn');
+    elements.updatePriceBtn = document.getElementById('update-price-btn');
+    
+    elements.editBanner = document.getElementById('edit-banner');
+    elements.editMessage = document.getElementById('edit-message');
+    elements.addNewLink = document.getElementById('add-new-link');
+    
+    elements.pickButtons = document.querySelectorAll('.pick-button');
+    elements.pickedNotice = document.getElementById('picked-notice');
+    elements.pickedMessage = document.getElementById('picked-message');
+    elements.saveRuleLink = document.getElementById('save-rule-link');
     
+    elements.successTitle = document.getElementById('success-title');
     elements.successMessage = document.getElementById('success-message');
+    elements.successResults = document.getElementById('success-results');
+    elements.addAgainBtn = document.getElementById('add-again');
     elements.viewListBtn = document.getElementById('view-list');
     elements.closePopupBtn = document.getElementById('close-popup');
     
@@ -108,9 +189,81 @@
     // Image navigation
     elements.prevImageBtn.addEventListener('click', () => navigateImages(-1));
     elements.nextImageBtn.addEventListener('click', () => navigateImages(1));
+    elements.imageCounter.addEventListener('click', () => {
+      toggleImagePanel(elements.imagePanel.classList.contains('hidden'));
+    });
+    
+    // Images from elsewhere: URL, pasted or dropped image, screenshot
+    elements.imageUrlBtn.addEventListener('click', useImageUrl);
+    elements.imageUrlInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        useImageUrl();
+      }
+    });
+    elements.imageUrlInput.addEventListener('paste', () => {
+      setTimeout(() => {
+        if (elements.imageUrlInput.value && elements.imageUrlInput.checkValidity()) useImageUrl();
+      }, 0);
+    });
+    // An image in the clipboard is used wherever it is pasted
+    document.addEventListener('paste', (e) => {
+      const file = getImageFile(e.clipboardData);
+      if (!file) return;
+      e.preventDefault();
+      addImageFile(file);
+    });
+    for (const target of [elements.imageGallery, elements.imagePanel]) {
+      target.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        target.classList.add('drop-target');
+      });
+      target.addEventListener('dragleave', () => target.classList.remove('drop-target'));
+      target.addEventListener('drop', (e) => {
+        e.preventDefault();
+        target.classList.remove('drop-target');
+        handleImageDrop(e.dataTransfer);
+      });
+    }
+    elements.captureBtn.addEventListener('click', captureVisibleArea);
+    elements.cropFrame.addEventListener('pointerdown', startCrop);
+    elements.cropUseBtn.addEventListener('click', useCrop);
+    elements.cropCancelBtn.addEventListener('click', closeCrop);
     
     // Form
     elements.itemForm.addEventListener('submit', handleSubmit);
+    elements.urlInput.addEventListener('input', updateUrlPreview);
+    elements.urlToggle.addEventListener('click', (e) => {
+      e.preventDefault();
+      toggleOriginalUrl();
+    });
+    elements.priceInput.addEventListener('input', updatePriceChoices);
+    elements.currencyInput.addEventListener('change', () => {
+      elements.currencyInput.value = elements.currencyInput.value.trim().toUpperCase();
+    });
+    
+    // Duplicate warning
+    elements.addAnywayBtn.addEventListener('click', addAnyway);
+    elements.openExistingBtn.addEventListener('click', openExistingItem);
+    elements.updatePriceBtn.addEventListener('click', updateExistingPrice);
+    elements.listSelect.addEventListener('change', hideDuplicateWarning);
+    elements.listSelect.addEventListener('change', applyListDefaults);
+    
+    // Existing item
+    elements.addNewLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      leaveEditMode();
+    });
+    elements.deleteButton.addEventListener('click', deleteExistingItem);
+    
+    // Element picker
+    elements.pickButtons.forEach(button => {
+      button.addEventListener('click', () => startPicker(button.dataset.field));
+    });
+    elements.saveRuleLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      savePickedRule();
+    });
     
     // Buttons
     elements.openWishlistBtn.addEventListener('click', openWishlist);
@@ -118,11 +271,40 @@
       e.preventDefault();
       openOptions();
     });
+    elements.bulkAddLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      openBulkCapture();
+    });
+    elements.productListLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      openBulkCapture(state.productListTabId);
+    });
+    
+    // Product read from a link
+    elements.linkToggle.addEventListener('click', (e) => {
+      e.preventDefault();
+      elements.linkForm.classList.toggle('hidden');
+      elements.linkInput.focus();
+    });
+    elements.linkForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      extractPageInfo(elements.linkInput.value.trim());
+    });
+    // A pasted link is read right away
+    elements.linkInput.addEventListener('paste', () => {
+      setTimeout(() => {
+        if (elements.linkInput.checkValidity()) elements.linkForm.requestSubmit();
+      }, 0);
+    });
     
     elements.viewListBtn.addEventListener('click', viewList);
+    elements.addAgainBtn.addEventListener('click', () => {
+      elements.successResults.classList.add('hidden');
+      showPage('item-page');
+    });
     elements.closePopupBtn.addEventListener('click', () => window.close());
     
-    elements.retryBtn.addEventListener('click', () => extractPageInfo());
+    elements.retryBtn.addEventListener('click', () => extractPageInfo(state.linkUrl));
     elements.configBtn.addEventListener('click', openOptions);
     
     elements.openConfigBtn.addEventListener('click', openOptions);
@@ -130,28 +312,29 @@
     // Refresh lists button
     elements.refreshListsBtn.addEventListener('click', refreshLists);
     
+    // Profile switcher
+    elements.profileSelect.addEventListener('change', switchProfile);
+    
     // Open selected list button
     elements.openSelectedListBtn.addEventListener('click', openSelectedList);
   }
 
   /**
-   * Load the configuration from storage
+   * Load the configuration of the active profile from storage
    */
   async function loadConfig() {
     try {
-      const result = await browser.storage.local.get(['serverUrl', 'apiKey', 'lists', 'defaultListId']);
-      
-      state.config.serverUrl = result.serverUrl || '';
-      state.config.apiKey = result.apiKey || '';
-      state.config.lists = result.lists || [];
-      state.selectedListId = result.defaultListId || '';
+      state.config = await window.wishlistApi.getConfig();
+      state.profiles = await window.profiles.getAll();
+      state.selectedListId = state.config.defaultListId;
       
       // Check that the configuration is valid
-      if (!state.config.serverUrl || !state.config.apiKey || state.config.lists.length === 0) {
+      if (!window.wishlistApi.isConfigured(state.config) || state.config.lists.length === 0) {
         return false;
       }
       
-      // Populate the dropdown list
+      // Populate the dropdown lists
+      populateProfileSelect();
       populateListSelect();
       
       return true;
@@ -174,24 +357,14 @@
     elements.refreshListsBtn.classList.add('spinning');
     
     try {
-      const response = await fetch(`${state.config.serverUrl}/api/v1/lists`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${state.config.apiKey}`,
-          'Accept': 'application/json'
-        }
-      });
+      state.config.lists = await window.wishlistApi.fetchLists(state.config);
       
-      if (response.ok) {
-        const data = await response.json();
-        state.config.lists = data.lists || [];
-        
-        // Save the new lists
-        await browser.storage.local.set({ lists: state.config.lists });
-        
-        // Refresh the dropdown
-        populateListSelect();
-      }
+      // Save the new lists
+      await window.profiles.update(state.config.profileId, { lists: state.config.lists });
+      state.profiles = await window.profiles.getAll();
+      
+      // Refresh the dropdown
+      populateListSelect();
     } catch (error) {
       console.error('Error while refreshing lists:', error);
     } finally {
@@ -201,70 +374,288 @@
   }
 
   /**
-   * Populate the list dropdown
+   * Populate the profile switcher, only shown when there are several profiles
+   */
+  function populateProfileSelect() {
+    elements.profileSelect.innerHTML = '';
+    elements.profileSelect.classList.toggle('hidden', state.profiles.length < 2);
+    
+    for (const profile of state.profiles) {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = window.profiles.getLabel(profile);
+      elements.profileSelect.appendChild(option);
+    }
+    
+    elements.profileSelect.value = state.config.profileId;
+  }
+
+  /**
+   * Use the lists of another profile
+   */
+  async function switchProfile() {
+    await window.profiles.setActive(elements.profileSelect.value);
+    
+    // The item being edited is on the server of the previous profile
+    if (state.editingItem) {
+      leaveEditMode();
+    }
+    hideDuplicateWarning();
+    
+    state.config = await window.wishlistApi.getConfig();
+    state.profiles = await window.profiles.getAll();
+    state.selectedListId = state.config.defaultListId;
+    state.allowDuplicateLists = [];
+    
+    populateListSelect();
+    await applyListDefaults();
+  }
+
+  /**
+   * Get the profiles an item can be added to: the active one first, then the other connected ones
+   */
+  function getProfileConfigs() {
+    const others = state.profiles
+      .filter(profile => profile.id !== state.config.profileId)
+      .map(profile => window.wishlistApi.toConfig(profile))
+      .filter(config => window.wishlistApi.isConfigured(config) && config.lists.length > 0);
+    return [state.config, ...others];
+  }
+
+  /**
+   * Get the connection settings of a profile, the active one when it is unknown
+   */
+  function getProfileConfig(profileId) {
+    return getProfileConfigs().find(config => config.profileId === profileId) || state.config;
+  }
+
+  /**
+   * Get the name of a profile
+   */
+  function getProfileLabel(profileId) {
+    const profile = state.profiles.find(p => p.id === profileId);
+    return profile ? window.profiles.getLabel(profile) : '';
+  }
+
+  /**
+   * Populate the list selector, grouped by Wishlist group when there are several
+   * When adding, the lists of the other profiles follow those of the active one, grouped by profile
    */
   function populateListSelect() {
     elements.listSelect.innerHTML = '';
     
-    for (const list of state.config.lists) {
-      const option = document.createElement('option');
-      option.value = list.id;
-      const listName = list.name || (window.i18n ? window.i18n.getMessage('unnamedList') : 'Unnamed list');
-      const groupName = (list.groupName && list.groupName.toLowerCase() !== 'default') ? ` (${list.groupName})` : '';
-      option.textContent = `${listName}${groupName}`;
-      elements.listSelect.appendChild(option);
+    // The item being edited is on the server of the active profile
+    const configs = state.editingItem ? [state.config] : getProfileConfigs();
+    const groups = new Map();
+    for (const config of configs) {
+      for (const list of config.lists) {
+        const groupName = (list.groupName && list.groupName.toLowerCase() !== 'default') ? list.groupName : '';
+        const key = `${config.profileId}/${groupName}`;
+        if (!groups.has(key)) {
+          groups.set(key, { profileId: config.profileId, groupName, lists: [] });
+        }
+        groups.get(key).lists.push(list);
+      }
+    }
+    
+    const allGroups = Array.from(groups.values());
+    for (const group of allGroups) {
+      let parent = elements.listSelect;
+      if (groups.size > 1) {
+        parent = document.createElement('optgroup');
+        const groupLabel = group.groupName || (window.i18n ? window.i18n.getMessage('defaultGroup') : 'Default group');
+        const profileGroups = allGroups.filter(g => g.profileId === group.profileId).length;
+        if (configs.length < 2) {
+          parent.label = groupLabel;
+        } else if (profileGroups < 2) {
+          parent.label = getProfileLabel(group.profileId);
+        } else {
+          parent.label = `${getProfileLabel(group.profileId)} · ${groupLabel}`;
+        }
+        elements.listSelect.appendChild(parent);
+      }
+      
+      for (const list of group.lists) {
+        const option = document.createElement('option');
+        option.value = getListKey(group.profileId, list.id);
+        option.textContent = groups.size > 1
+          ? list.name || (window.i18n ? window.i18n.getMessage('unnamedList') : 'Unnamed list')
+          : window.wishlistApi.getListLabel(list);
+        parent.appendChild(option);
+      }
     }
     
+    setListSelectMultiple(!state.editingItem);
     if (state.selectedListId) {
-      elements.listSelect.value = state.selectedListId;
+      elements.listSelect.value = getListKey(state.config.profileId, state.selectedListId);
+    }
+  }
+
+  /**
+   * Let several lists be selected when adding, a single one when editing an item
+   */
+  function setListSelectMultiple(multiple) {
+    const lists = elements.listSelect.options.length;
+    const rows = lists + elements.listSelect.querySelectorAll('optgroup').length;
+    
+    elements.listSelect.multiple = multiple;
+    elements.listSelect.size = multiple ? Math.min(rows, 5) : 0;
+    elements.listSelect.classList.toggle('multiple', multiple);
+    elements.multiListHelp.classList.toggle('hidden', !multiple || lists < 2);
+  }
+
+  /**
+   * Key of a list in the list selector: a list id is only unique on the server of its profile
+   */
+  function getListKey(profileId, listId) {
+    return `${profileId}:${listId}`;
+  }
+
+  /**
+   * Read a key made by getListKey()
+   * @returns {Object} { profileId, listId }
+   */
+  function parseListKey(key) {
+    const separator = key.indexOf(':');
+    return { profileId: key.slice(0, separator), listId: key.slice(separator + 1) };
+  }
+
+  /**
+   * Get the keys of the selected lists (see getListKey())
+   */
+  function getSelectedListKeys() {
+    return Array.from(elements.listSelect.selectedOptions, option => option.value).filter(Boolean);
+  }
+
+  /**
+   * Get the selected lists with the profile they belong to
+   * @returns {Object[]} [{ profileId, listId }]
+   */
+  function getSelectedTargets() {
+    return getSelectedListKeys().map(parseListKey);
+  }
+
+  /**
+   * Populate the currency suggestions with all ISO 4217 codes
+   * The datalist lets the user search by code, symbol or name
+   */
+  function populateCurrencyOptions() {
+    const language = window.i18n ? window.i18n.getCurrentLanguage() : 'en';
+    
+    for (const code of window.currencies.CODES) {
+      const option = document.createElement('option');
+      option.value = code;
+      const symbol = window.currencies.getSymbol(code, language);
+      const name = window.currencies.getName(code, language);
+      option.label = symbol !== code ? `${symbol} – ${name}` : name;
+      elements.currencyOptions.appendChild(option);
+    }
+  }
+
+  /**
+   * Currency used when the page does not reveal one: the currency of the browser locale
+   */
+  function getDefaultCurrency() {
+    return window.currencies.fromLocale(browser.i18n.getUILanguage()) || 'EUR';
+  }
+
+  /**
+   * Get the link chosen in the "Review linked product" context menu, if the popup was opened by it
+   */
+  async function takePendingLink() {
+    try {
+      return (await browser.runtime.sendMessage({ action: 'takePendingLink' })) || null;
+    } catch (error) {
+      console.warn('Could not get the pending link:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Read a product page without opening it (in the background page, with the same parser as the tabs)
+   * @returns {Promise<{data: Object, read: boolean}>} read is false when only the URL is known
+   */
+  async function fetchLinkInfo(url) {
+    try {
+      const data = await browser.runtime.sendMessage({ action: 'fetchPageInfo', url });
+      return { data, read: true };
+    } catch (error) {
+      console.warn('Could not read the linked page:', error);
+      return { data: { url, title: '', images: [] }, read: false };
     }
   }
 
   /**
-   * Extract information from the current page
+   * Extract information from the current page, or from a link without opening it
+   * @param {string|null} linkUrl - Product link to read instead of the current tab
    */
-  async function extractPageInfo() {
+  async function extractPageInfo(linkUrl = null) {
+    const __ = (key, fallback) => (window.i18n ? window.i18n.getMessage(key) : fallback);
     showPage('loading-page');
-    setLoaderText(window.i18n ? window.i18n.getMessage('extractingInfo') : 'Extracting information...');
+    setLoaderText(linkUrl ? __('fetchingLink', 'Reading the linked page...') : __('extractingInfo', 'Extracting information...'));
     
     try {
-      // Get the active tab
-      const tabs = await browser.tabs.query({ active: true, currentWindow: true });
-      if (!tabs || tabs.length === 0) {
-        throw new Error(window.i18n ? window.i18n.getMessage('noActiveTab') : 'No active tab found');
-      }
-      
-      const tab = tabs[0];
-      
-      // Inject and execute the content script if necessary
-      let response;
-      try {
-        response = await browser.tabs.sendMessage(tab.id, { action: 'getPageInfo' });
-      } catch (e) {
-        // The content script may not be loaded, inject it
-        await browser.tabs.executeScript(tab.id, { file: 'js/content.js' });
-        response = await browser.tabs.sendMessage(tab.id, { action: 'getPageInfo' });
-      }
+      let tab = null;
+      let data;
+      let linkRead = true;
       
-      if (!response.success) {
-        throw new Error(response.error || (window.i18n ? window.i18n.getMessage('extractionError') : 'Extraction error'));
+      if (linkUrl) {
+        ({ data, read: linkRead } = await fetchLinkInfo(linkUrl));
+      } else {
+        // Get the active tab
+        const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+        if (!tabs || tabs.length === 0) {
+          throw new Error(__('noActiveTab', 'No active tab found'));
+        }
+        
+        tab = tabs[0];
+        data = await window.tabInfo.getPageInfo(tab.id);
       }
+      state.tabId = tab ? tab.id : null;
+      state.linkUrl = linkUrl;
       
       // Update the state with the extracted data
-      const data = response.data;
+      const url = data.url || (tab ? tab.url : linkUrl);
+      await window.urlCleaner.loadRules();
       state.currentItem = {
-        url: data.url || tab.url,
+        url: window.urlCleaner.clean(url),
+        originalUrl: url,
         title: data.title || '',
         description: data.description || '',
         images: data.images || [],
-        price: data.price,
-        currency: data.currency || 'EUR',
+        price: typeof data.price === 'number' ? data.price : null,
+        originalPrice: data.originalPrice || null,
+        unitPrice: data.unitPrice || null,
+        unitPriceUnit: data.unitPriceUnit || null,
+        currency: data.currency || getDefaultCurrency(),
+        variant: data.variant || null,
         selectedImageIndex: 0
       };
       
       // Display the data in the form
+      state.editingItem = null;
+      setEditModeUI(false);
       updateFormWithItemData();
+      showLinkNotice(linkUrl, linkRead);
+      
+      // Edit the product instead of adding it again when it is already on a list
+      setLoaderText(window.i18n ? window.i18n.getMessage('searchingExisting') : 'Looking for this product on your lists...');
+      const existing = await findExistingItem(state.currentItem.url);
+      if (existing) {
+        enterEditMode(existing);
+      } else {
+        await applyListDefaults();
+      }
+      
+      if (tab) {
+        // Back from the element picker
+        await restorePickerDraft(tab.id);
+      }
+      
       showPage('item-page');
+      if (tab) {
+        showProductListHint(tab.id);
+      }
       
     } catch (error) {
       console.error('Error during extraction:', error);
@@ -277,16 +668,147 @@
    */
   function updateFormWithItemData() {
     elements.titleInput.value = state.currentItem.title;
+    elements.urlInput.value = state.currentItem.url;
+    updateUrlPreview();
     elements.noteInput.value = state.currentItem.description;
     
-    if (state.currentItem.price !== null) {
-      elements.priceInput.value = state.currentItem.price;
+    // Cleared too, the form may still show the price of the page read before
+    elements.priceInput.value = typeof state.currentItem.price === 'number' ? state.currentItem.price : '';
+    
+    elements.currencyInput.value = state.currentItem.currency;
+    
+    // Selected variant options first ("Colour: Blue, Size: XL")
+    const variant = state.currentItem.variant;
+    if (variant && variant.options && variant.options.length > 0) {
+      const options = variant.options.map(option => `${option.name}: ${option.value}`).join(', ');
+      elements.noteInput.value = [options, elements.noteInput.value].filter(Boolean).join('\n');
     }
     
-    elements.currencySelect.value = state.currentItem.currency;
+    // Keep the regular price in the note so both values reach Wishlist
+    if (state.currentItem.originalPrice !== null) {
+      const regularPrice = window.i18n
+        ? window.i18n.getMessage('regularPriceNote', { price: formatPrice(state.currentItem.originalPrice) })
+        : `Regular price: ${formatPrice(state.currentItem.originalPrice)}`;
+      elements.noteInput.value = [elements.noteInput.value, regularPrice].filter(Boolean).join('\n');
+    }
+    
+    renderPriceChoices();
     
     // Update the image display
     updateImageDisplay();
+    
+    // Offer the other image sources right away when the page has none
+    toggleImagePanel(state.currentItem.images.length === 0);
+  }
+
+  /**
+   * Tell the user the form comes from a link rather than the current page
+   * Elements can only be picked on an open page
+   */
+  function showLinkNotice(linkUrl, read) {
+    const __ = (key, fallback) => (window.i18n ? window.i18n.getMessage(key) : fallback);
+    
+    elements.linkNotice.classList.toggle('hidden', !linkUrl);
+    elements.pickButtons.forEach(button => button.classList.toggle('hidden', Boolean(linkUrl)));
+    elements.productListHint.classList.add('hidden');
+    if (!linkUrl) return;
+    
+    elements.linkNotice.textContent = read
+      ? __('linkRead', '🔗 Read from the link, without opening the page.')
+      : __('linkUnread', '⚠️ The page could not be read: fill in the details yourself.');
+    elements.linkForm.classList.add('hidden');
+    elements.linkInput.value = '';
+  }
+
+  /**
+   * Tell the user when tracking parameters were removed from the page URL
+   */
+  function updateUrlPreview() {
+    const { url, originalUrl } = state.currentItem;
+    const value = elements.urlInput.value.trim();
+    
+    // Nothing to tell when the page URL was already clean or the user typed another URL
+    const showPreview = url !== originalUrl && (value === url || value === originalUrl);
+    elements.urlCleaned.classList.toggle('hidden', !showPreview);
+    elements.urlCleaned.title = originalUrl;
+    
+    const key = value === originalUrl ? 'useCleanedUrl' : 'useOriginalUrl';
+    elements.urlToggle.textContent = window.i18n
+      ? window.i18n.getMessage(key)
+      : (value === originalUrl ? 'Use the cleaned URL' : 'Use the original URL');
+  }
+
+  /**
+   * Switch between the cleaned URL and the URL of the page
+   */
+  function toggleOriginalUrl() {
+    const { url, originalUrl } = state.currentItem;
+    elements.urlInput.value = elements.urlInput.value.trim() === originalUrl ? url : originalUrl;
+    updateUrlPreview();
+  }
+
+  /**
+   * Display the detected prices (sale, regular, per unit) so the user can pick the one to store
+   */
+  function renderPriceChoices() {
+    const item = state.currentItem;
+    const choices = [];
+    
+    if (item.price !== null) {
+      choices.push({ value: item.price, label: window.i18n ? window.i18n.getMessage('salePrice') : 'Price' });
+    }
+    if (item.originalPrice !== null) {
+      choices.push({ value: item.originalPrice, label: window.i18n ? window.i18n.getMessage('regularPrice') : 'Regular' });
+    }
+    if (item.unitPrice !== null) {
+      const unit = item.unitPriceUnit || '?';
+      choices.push({ value: item.unitPrice, label: window.i18n ? window.i18n.getMessage('unitPrice', { unit }) : `Per ${unit}` });
+    }
+    
+    elements.priceChoices.innerHTML = '';
+    elements.priceChoices.classList.toggle('hidden', choices.length < 2);
+    if (choices.length < 2) return;
+    
+    for (const choice of choices) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'price-choice';
+      button.dataset.value = choice.value;
+      button.textContent = `${choice.label} ${formatPrice(choice.value)}`;
+      button.addEventListener('click', () => {
+        elements.priceInput.value = choice.value;
+        updatePriceChoices();
+      });
+      elements.priceChoices.appendChild(button);
+    }
+    
+    updatePriceChoices();
+  }
+
+  /**
+   * Highlight the price choice matching the price field
+   */
+  function updatePriceChoices() {
+    const value = parseFloat(elements.priceInput.value);
+    elements.priceChoices.querySelectorAll('.price-choice').forEach(button => {
+      button.classList.toggle('active', parseFloat(button.dataset.value) === value);
+    });
+  }
+
+  /**
+   * Format a price in the current currency ("29,99 €")
+   */
+  function formatPrice(value, currency) {
+    const language = window.i18n ? window.i18n.getCurrentLanguage() : undefined;
+    currency = currency || elements.currencyInput.value || state.currentItem.currency;
+    try {
+      return new Intl.NumberFormat(language, {
+        style: 'currency',
+        currency
+      }).format(value);
+    } catch (e) {
+      return `${value} ${currency}`;
+    }
   }
 
   /**
@@ -312,6 +834,209 @@
       elements.prevImageBtn.disabled = images.length <= 1;
       elements.nextImageBtn.disabled = images.length <= 1;
     }
+    
+    if (!elements.imagePanel.classList.contains('hidden')) {
+      renderImageThumbs();
+    }
+  }
+
+  /**
+   * Show or hide the panel with every image and the other image sources
+   * The screenshot needs the tab of the product, it is not offered for a link
+   */
+  function toggleImagePanel(show) {
+    elements.imagePanel.classList.toggle('hidden', !show);
+    elements.captureBtn.classList.toggle('hidden', !state.tabId);
+    closeCrop();
+    if (show) {
+      renderImageThumbs();
+    }
+  }
+
+  /**
+   * Display a thumbnail of every image, a click selects it
+   */
+  function renderImageThumbs() {
+    elements.imageThumbs.innerHTML = '';
+    elements.imageThumbs.classList.toggle('hidden', state.currentItem.images.length === 0);
+    
+    state.currentItem.images.forEach((url, index) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'image-thumb';
+      button.classList.toggle('selected', index === state.currentItem.selectedImageIndex);
+      button.title = url.startsWith('data:') ? '' : url;
+      
+      const img = document.createElement('img');
+      img.src = url;
+      img.alt = '';
+      img.loading = 'lazy';
+      button.appendChild(img);
+      
+      button.addEventListener('click', () => {
+        state.currentItem.selectedImageIndex = index;
+        updateImageDisplay();
+      });
+      elements.imageThumbs.appendChild(button);
+    });
+  }
+
+  /**
+   * Use the image whose URL was typed or pasted
+   */
+  function useImageUrl() {
+    const url = elements.imageUrlInput.value.trim();
+    if (!url) return;
+    if (!elements.imageUrlInput.checkValidity() || !/^https?:/.test(url)) {
+      elements.imageUrlInput.focus();
+      return;
+    }
+    elements.imageUrlInput.value = '';
+    showImageFirst(url);
+  }
+
+  /**
+   * Get the image file of a clipboard or a drop, if any
+   */
+  function getImageFile(dataTransfer) {
+    if (!dataTransfer || !dataTransfer.files) return null;
+    return Array.from(dataTransfer.files).find(file => file.type.startsWith('image/')) || null;
+  }
+
+  /**
+   * Use a dropped image: a file from the computer, or an image dragged from a page
+   */
+  function handleImageDrop(dataTransfer) {
+    const file = getImageFile(dataTransfer);
+    if (file) {
+      addImageFile(file);
+      return;
+    }
+    
+    const url = (dataTransfer.getData('text/uri-list') || dataTransfer.getData('text/plain') || '')
+      .split('\n')
+      .map(line => line.trim())
+      .find(line => /^https?:\/\//.test(line));
+    if (url) {
+      showImageFirst(url);
+    }
+  }
+
+  /**
+   * Use an image file, reduced and kept as a data: URL (it is uploaded with the item)
+   */
+  async function addImageFile(blob) {
+    try {
+      const image = await window.imageUpload.resize(blob, LOCAL_IMAGE_MAX_SIZE);
+      showImageFirst(await readAsDataUrl(image));
+    } catch (error) {
+      console.error('Could not read the image:', error);
+      alert(window.i18n ? window.i18n.getMessage('imageUnreadable') : 'This image could not be read.');
+    }
+  }
+
+  /**
+   * Read a file as a data: URL
+   */
+  function readAsDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  /**
+   * Take a screenshot of the visible part of the tab, to crop the product from it
+   */
+  async function captureVisibleArea() {
+    try {
+      elements.cropImage.src = await browser.tabs.captureVisibleTab({ format: 'png' });
+    } catch (error) {
+      console.error('Could not capture the tab:', error);
+      alert(window.i18n ? window.i18n.getMessage('captureFailed') : 'This page cannot be captured.');
+      return;
+    }
+    
+    state.crop = null;
+    elements.cropSelection.classList.add('hidden');
+    elements.cropArea.classList.remove('hidden');
+    elements.captureBtn.classList.add('hidden');
+  }
+
+  /**
+   * Drag a selection over the screenshot
+   */
+  function startCrop(event) {
+    event.preventDefault();
+    const frame = elements.cropFrame.getBoundingClientRect();
+    const startX = event.clientX - frame.left;
+    const startY = event.clientY - frame.top;
+    
+    const onMove = (e) => {
+      const x = Math.min(Math.max(e.clientX - frame.left, 0), frame.width);
+      const y = Math.min(Math.max(e.clientY - frame.top, 0), frame.height);
+      state.crop = {
+        left: Math.min(startX, x),
+        top: Math.min(startY, y),
+        width: Math.abs(x - startX),
+        height: Math.abs(y - startY)
+      };
+      Object.assign(elements.cropSelection.style, {
+        left: `${state.crop.left}px`,
+        top: `${state.crop.top}px`,
+        width: `${state.crop.width}px`,
+        height: `${state.crop.height}px`
+      });
+      elements.cropSelection.classList.remove('hidden');
+    };
+    const onUp = () => {
+      elements.cropFrame.removeEventListener('pointermove', onMove);
+      elements.cropFrame.removeEventListener('pointerup', onUp);
+    };
+    
+    if (elements.cropFrame.setPointerCapture) {
+      elements.cropFrame.setPointerCapture(event.pointerId);
+    }
+    elements.cropFrame.addEventListener('pointermove', onMove);
+    elements.cropFrame.addEventListener('pointerup', onUp);
+  }
+
+  /**
+   * Use the selected part of the screenshot (all of it without a selection) as the image
+   */
+  async function useCrop() {
+    const image = elements.cropImage;
+    const scale = image.naturalWidth / image.clientWidth;
+    const crop = state.crop && state.crop.width >= MIN_CROP_SIZE && state.crop.height >= MIN_CROP_SIZE
+      ? state.crop
+      : { left: 0, top: 0, width: image.clientWidth, height: image.clientHeight };
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(crop.width * scale);
+    canvas.height = Math.round(crop.height * scale);
+    canvas.getContext('2d').drawImage(
+      image,
+      Math.round(crop.left * scale), Math.round(crop.top * scale), canvas.width, canvas.height,
+      0, 0, canvas.width, canvas.height
+    );
+    
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    closeCrop();
+    if (blob) {
+      await addImageFile(blob);
+    }
+  }
+
+  /**
+   * Leave the screenshot
+   */
+  function closeCrop() {
+    state.crop = null;
+    elements.cropArea.classList.add('hidden');
+    elements.cropImage.removeAttribute('src');
+    elements.captureBtn.classList.toggle('hidden', !state.tabId);
   }
 
   /**
@@ -330,87 +1055,607 @@
     updateImageDisplay();
   }
 
+  /**
+   * Select an image, moved to the front of the images of the page
+   */
+  function showImageFirst(imageUrl) {
+    state.currentItem.images = [imageUrl, ...state.currentItem.images.filter(image => image !== imageUrl)];
+    state.currentItem.selectedImageIndex = 0;
+    updateImageDisplay();
+  }
+
+  /**
+   * Fill the quantity and most-wanted fields with the values last used on the (first) selected list
+   */
+  async function applyListDefaults() {
+    const [target] = getSelectedTargets();
+    if (!target || state.editingItem) return;
+    
+    const defaults = await window.listDefaults.get(getProfileConfig(target.profileId), target.listId);
+    elements.quantityInput.value = defaults.quantity;
+    elements.mostWantedInput.checked = defaults.mostWanted;
+  }
+
+  /**
+   * Find the product on the lists, preferring the default list
+   * Only items known by their id can be edited
+   */
+  async function findExistingItem(url) {
+    try {
+      const matches = (await window.itemHistory.findInLists(state.config, url)).filter(item => item.id);
+      return matches.find(item => item.listId === state.selectedListId) || matches[0] || null;
+    } catch (error) {
+      console.warn('Could not look for the product on the lists:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Switch the form to the edition of an item already on a list
+   */
+  function enterEditMode(item) {
+    state.editingItem = item;
+    
+    elements.titleInput.value = item.name || elements.titleInput.value;
+    elements.urlInput.value = item.url || elements.urlInput.value;
+    updateUrlPreview();
+    if (item.note !== undefined) {
+      elements.noteInput.value = item.note || '';
+    }
+    if (item.price) {
+      elements.priceInput.value = item.price;
+      elements.currencyInput.value = item.currency || elements.currencyInput.value;
+    } else {
+      elements.priceInput.value = '';
+    }
+    updatePriceChoices();
+    elements.quantityInput.value = item.quantity || 1;
+    elements.mostWantedInput.checked = Boolean(item.mostWanted);
+    populateListSelect();
+    elements.listSelect.value = getListKey(state.config.profileId, item.listId);
+    
+    // Show the saved image first, the images of the page stay available
+    if (item.imageUrl) {
+      showImageFirst(item.imageUrl);
+    }
+    
+    const list = state.config.lists.find(l => l.id === item.listId);
+    const listName = list ? window.wishlistApi.getListLabel(list) : item.listId;
+    elements.editMessage.textContent = window.i18n
+      ? window.i18n.getMessage('editingExisting', { list: listName })
+      : `✏️ This product is already on "${listName}", you are editing it.`;
+    
+    setEditModeUI(true);
+    state.editingValues = readFormValues();
+  }
+
+  /**
+   * Go back to adding the page as a new item
+   */
+  function leaveEditMode() {
+    // The user knows the product is already there
+    state.allowDuplicateLists = state.editingItem ? [getListKey(state.config.profileId, state.editingItem.listId)] : [];
+    state.editingItem = null;
+    state.editingValues = null;
+    
+    state.currentItem.selectedImageIndex = 0;
+    updateFormWithItemData();
+    populateListSelect();
+    setEditModeUI(false);
+    applyListDefaults();
+  }
+
+  /**
+   * Toggle the controls specific to the edit mode
+   */
+  function setEditModeUI(editing) {
+    const __ = (key, fallback) => (window.i18n ? window.i18n.getMessage(key) : fallback);
+    
+    elements.editBanner.classList.toggle('hidden', !editing);
+    elements.deleteButton.classList.toggle('hidden', !editing);
+    elements.openWishlistBtn.classList.toggle('hidden', editing);
+    elements.listLabel.textContent = editing ? __('itemList', 'List') : __('selectList', 'Add to list');
+    elements.addButtonText.textContent = editing ? __('saveChanges', '💾 Save changes') : __('addToList', 'Add to list');
+  }
+
+  /**
+   * Let the user click the element holding a field on the page
+   * The popup closes while picking: the form is kept in storage and restored when it is opened again
+   */
+  async function startPicker(field) {
+    const draft = {
+      tabId: state.tabId,
+      field,
+      createdAt: Date.now(),
+      form: { ...readFormValues(), listKeys: getSelectedListKeys() },
+      picked: null
+    };
+    
+    try {
+      await browser.storage.local.set({ [PICKER_DRAFT_KEY]: draft });
+      await browser.tabs.sendMessage(state.tabId, { action: 'startPicker', field });
+      window.close();
+    } catch (error) {
+      console.error('Could not start the element picker:', error);
+      await browser.storage.local.remove(PICKER_DRAFT_KEY);
+      showError(window.i18n ? window.i18n.getMessage('pickerUnavailable') : 'Elements cannot be picked on this page.');
+    }
+  }
+
+  /**
+   * Restore the form saved before picking an element, with the picked value
+   */
+  async function restorePickerDraft(tabId) {
+    const result = await browser.storage.local.get(PICKER_DRAFT_KEY);
+    const draft = result[PICKER_DRAFT_KEY];
+    if (!draft || draft.tabId !== tabId) return;
+    
+    await browser.storage.local.remove(PICKER_DRAFT_KEY);
+    if (Date.now() - draft.createdAt > PICKER_DRAFT_MAX_AGE) return;
+    
+    const form = draft.form;
+    elements.titleInput.value = form.name;
+    elements.urlInput.value = form.url;
+    updateUrlPreview();
+    elements.noteInput.value = form.note || '';
+    elements.priceInput.value = form.price !== null ? form.price : '';
+    if (form.currency) {
+      elements.currencyInput.value = form.currency;
+    }
+    updatePriceChoices();
+    elements.quantityInput.value = form.quantity;
+    elements.mostWantedInput.checked = form.mostWanted;
+    Array.from(elements.listSelect.options).forEach(option => {
+      option.selected = form.listKeys.includes(option.value);
+    });
+    if (form.imageUrl) {
+      showImageFirst(form.imageUrl);
+    }
+    
+    if (draft.picked) {
+      applyPickedValue(draft.picked);
+    }
+  }
+
+  /**
+   * Put the value picked on the page in its field
+   */
+  function applyPickedValue(picked) {
+    const __ = (key, fallback, params) => (window.i18n ? window.i18n.getMessage(key, params || {}) : fallback);
+    
+    state.picked = null;
+    elements.pickedNotice.classList.remove('hidden');
+    
+    if (picked.value === null || picked.value === '') {
+      elements.pickedMessage.textContent = __('pickedNothing', '🎯 Nothing could be read from the element you picked.');
+      elements.saveRuleLink.classList.add('hidden');
+      return;
+    }
+    
+    switch (picked.field) {
+      case 'title':
+        elements.titleInput.value = picked.value;
+        break;
+      case 'price':
+        elements.priceInput.value = picked.value;
+        if (picked.currency) {
+          elements.currencyInput.value = picked.currency;
+        }
+        updatePriceChoices();
+        break;
+      case 'image':
+        showImageFirst(picked.value);
+        break;
+    }
+    
+    state.picked = picked;
+    const site = window.extractionRules.getDomain(picked.hostname);
+    elements.pickedMessage.textContent = __('pickedValue', '🎯 Value taken from the element you picked.');
+    elements.saveRuleLink.textContent = __('saveAsRule', `Use this element on ${site} next time`, { site });
+    elements.saveRuleLink.classList.remove('hidden');
+  }
+
+  /**
+   * Read the picked field from the same element on the next pages of the site
+   */
+  async function savePickedRule() {
+    const picked = state.picked;
+    if (!picked) return;
+    
+    try {
+      await window.extractionRules.saveField(picked.hostname, picked.field, { selector: picked.selector });
+      const site = window.extractionRules.getDomain(picked.hostname);
+      elements.pickedMessage.textContent = window.i18n
+        ? window.i18n.getMessage('ruleSaved', { site })
+        : `✓ ${site} will use this element next time.`;
+      elements.saveRuleLink.classList.add('hidden');
+      state.picked = null;
+    } catch (error) {
+      console.error('Could not save the rule:', error);
+    }
+  }
+
+  /**
+   * Read the editable values of the form
+   */
+  function readFormValues() {
+    const price = parseFloat(elements.priceInput.value);
+    const hasPrice = !isNaN(price) && price > 0;
+    
+    return {
+      listId: parseListKey(elements.listSelect.value).listId,
+      name: elements.titleInput.value.trim(),
+      url: elements.urlInput.value.trim(),
+      note: elements.noteInput.value.trim() || null,
+      imageUrl: elements.selectedImageInput.value || null,
+      quantity: parseInt(elements.quantityInput.value, 10) || 1,
+      mostWanted: elements.mostWantedInput.checked,
+      price: hasPrice ? price : null,
+      currency: hasPrice ? window.currencies.normalizeCode(elements.currencyInput.value) : null
+    };
+  }
+
+  /**
+   * Send the changed fields of the item being edited, a new list moves it
+   */
+  async function saveExistingItem() {
+    const item = state.editingItem;
+    const values = readFormValues();
+    
+    if (values.price !== null && !values.currency) {
+      alert(window.i18n ? window.i18n.getMessage('invalidCurrency') : 'Please choose a valid currency code (EUR, USD, CHF...)');
+      elements.currencyInput.focus();
+      return;
+    }
+    
+    const changes = {};
+    for (const [key, value] of Object.entries(values)) {
+      if (value !== state.editingValues[key]) {
+        changes[key] = value;
+      }
+    }
+    
+    elements.addButton.disabled = true;
+    elements.deleteButton.disabled = true;
+    elements.addButtonText.textContent = window.i18n ? window.i18n.getMessage('saving') : 'Saving...';
+    
+    try {
+      if (Object.keys(changes).length > 0) {
+        await window.imageUpload.updateItem(state.config, item.id, changes);
+        
+        const recorded = ['listId', 'url', 'name', 'price', 'currency'].filter(key => key in changes);
+        await window.itemHistory.update(state.config, item.id, Object.fromEntries(recorded.map(key => [key, changes[key]])));
+      }
+      
+      const list = state.config.lists.find(l => l.id === values.listId);
+      const listName = list ? list.name : values.listId;
+      const key = 'listId' in changes ? 'itemMoved' : 'itemUpdated';
+      elements.successTitle.textContent = window.i18n ? window.i18n.getMessage('itemUpdatedTitle') : '✓ Item updated';
+      elements.successMessage.textContent = window.i18n
+        ? window.i18n.getMessage(key, { name: values.name, list: listName })
+        : `"${values.name}" has been updated on "${listName}".`;
+      
+      showPage('success-page');
+    } catch (error) {
+      console.error('Error while updating the item:', error);
+      showError(window.wishlistApi.getErrorMessage(error));
+    } finally {
+      elements.addButton.disabled = false;
+      elements.deleteButton.disabled = false;
+      setEditModeUI(Boolean(state.editingItem));
+    }
+  }
+
+  /**
+   * Delete the item being edited from its list
+   */
+  async function deleteExistingItem() {
+    const item = state.editingItem;
+    if (!item) return;
+    
+    const list = state.config.lists.find(l => l.id === item.listId);
+    const listName = list ? list.name : item.listId;
+    const confirmMessage = window.i18n
+      ? window.i18n.getMessage('deleteItemConfirm', { name: item.name, list: listName })
+      : `Delete "${item.name}" from "${listName}"?`;
+    if (!confirm(confirmMessage)) return;
+    
+    elements.addButton.disabled = true;
+    elements.deleteButton.disabled = true;
+    
+    try {
+      await window.wishlistApi.deleteItem(state.config, item.id);
+      await window.itemHistory.remove(state.config, item.id);
+      
+      elements.successTitle.textContent = window.i18n ? window.i18n.getMessage('itemRemovedTitle') : 'Item removed';
+      elements.successMessage.textContent = window.i18n
+        ? window.i18n.getMessage('itemRemoved', { name: item.name, list: listName })
+        : `"${item.name}" has been removed from "${listName}".`;
+      
+      showPage('success-page');
+    } catch (error) {
+      console.error('Error while deleting the item:', error);
+      showError(window.wishlistApi.getErrorMessage(error));
+    } finally {
+      elements.addButton.disabled = false;
+      elements.deleteButton.disabled = false;
+    }
+  }
+
   /**
    * Handle form submission
    */
   async function handleSubmit(event) {
     event.preventDefault();
     
-    const listId = elements.listSelect.value;
-    if (!listId) {
+    if (state.editingItem) {
+      await saveExistingItem();
+      return;
+    }
+    
+    const targets = getSelectedTargets();
+    if (targets.length === 0) {
       alert(window.i18n ? window.i18n.getMessage('pleaseSelectList') : 'Please select a list');
       return;
     }
     
+    const priceValue = parseFloat(elements.priceInput.value);
+    const currency = window.currencies.normalizeCode(elements.currencyInput.value);
+    if (!isNaN(priceValue) && priceValue > 0 && !currency) {
+      alert(window.i18n ? window.i18n.getMessage('invalidCurrency') : 'Please choose a valid currency code (EUR, USD, CHF...)');
+      elements.currencyInput.focus();
+      return;
+    }
+    
+    // Prepare data for the API, the list is set for each selected list
+    const itemData = {
+      name: elements.titleInput.value.trim(),
+      url: elements.urlInput.value.trim() || state.currentItem.url,
+      note: elements.noteInput.value.trim() || null,
+      imageUrl: elements.selectedImageInput.value || null,
+      quantity: parseInt(elements.quantityInput.value, 10) || 1,
+      mostWanted: elements.mostWantedInput.checked
+    };
+    
+    // Add price if present
+    if (!isNaN(priceValue) && priceValue > 0) {
+      itemData.price = priceValue;
+      itemData.currency = currency;
+    }
+    
     // Set button to loading state
     elements.addButton.disabled = true;
     elements.addButtonText.textContent = window.i18n ? window.i18n.getMessage('adding') : 'Adding...';
     
     try {
-      // Prepare data for the API
-      const itemData = {
-        listId: listId,
-        name: elements.titleInput.value.trim(),
-        url: state.currentItem.url,
-        note: elements.noteInput.value.trim() || null,
-        imageUrl: elements.selectedImageInput.value || null,
-        quantity: 1,
-        mostWanted: false
-      };
+      // Warn when the product is already on one of the lists
+      for (const { profileId, listId } of targets) {
+        if (state.allowDuplicateLists.includes(getListKey(profileId, listId))) continue;
+        
+        const duplicate = await window.itemHistory.findInList(getProfileConfig(profileId), listId, itemData.url);
+        if (duplicate) {
+          showDuplicateWarning({ ...duplicate, profileId });
+          return;
+        }
+      }
       
-      // Add price if present
-      const priceValue = parseFloat(elements.priceInput.value);
-      if (!isNaN(priceValue) && priceValue > 0) {
-        itemData.price = priceValue;
-        itemData.currency = elements.currencySelect.value;
+      // Each list is sent to the server of its profile
+      const results = [];
+      for (const { profileId, listId } of targets) {
+        results.push(await addToList(getProfileConfig(profileId), { listId, ...itemData }));
       }
       
-      // Call the API
-      const response = await fetch(`${state.config.serverUrl}/api/v1/items`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${state.config.apiKey}`,
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify(itemData)
-      });
+      // Every list failed: nothing was saved
+      const failed = results.filter(r => r.status === 'failed');
+      if (failed.length === results.length) {
+        showError(window.wishlistApi.getErrorMessage(failed[0].error));
+        return;
+      }
       
-      if (response.ok) {
-        const result = await response.json();
-        
-        // Save the list as default
-        await browser.storage.local.set({ defaultListId: listId });
-        
-        // Display success
-        const listName = state.config.lists.find(l => l.id === listId)?.name || 'list';
-        elements.successMessage.textContent = window.i18n 
-          ? window.i18n.getMessage('itemAdded', { name: itemData.name, list: listName })
-          : `"${itemData.name}" has been added to "${listName}"!`;
-        
-        showPage('success-page');
-      } else if (response.status === 401) {
-        showError(window.i18n ? window.i18n.getMessage('errorInvalidKey') : 'Invalid or expired API key.');
-      } else if (response.status === 403) {
-        showError(window.i18n ? window.i18n.getMessage('errorNoPermission') : 'You do not have permission to add to this list.');
-      } else if (response.status === 404) {
-        showError(window.i18n ? window.i18n.getMessage('errorListNotFound') : 'List not found. It may have been deleted.');
-      } else {
-        const error = await response.json().catch(() => ({}));
-        showError(window.i18n 
-          ? window.i18n.getMessage('errorAddingItem', { error: error.error || response.statusText })
-          : `Error adding item: ${error.error || response.statusText}`);
+      // Save the first list the item reached on each server as its default
+      for (const config of getProfileConfigs()) {
+        const reached = results.find(r => r.status !== 'failed' && r.profileId === config.profileId);
+        if (reached) {
+          await window.profiles.update(config.profileId, { defaultListId: reached.listId });
+        }
       }
       
+      showAddResults(itemData, results);
     } catch (error) {
       console.error('Error while adding:', error);
-      showError(window.i18n ? window.i18n.getMessage('errorNetworkPopup') : 'Could not contact the server.');
+      showError(window.wishlistApi.getErrorMessage(error));
     } finally {
       elements.addButton.disabled = false;
       elements.addButtonText.textContent = window.i18n ? window.i18n.getMessage('addToList') : 'Add to list';
     }
   }
 
+  /**
+   * Add the item to one list
+   * @param {Object} config - Connection settings of the profile the list belongs to
+   * @returns {Promise<Object>} { profileId, listId, status: 'added' | 'queued' | 'failed', error }
+   */
+  async function addToList(config, itemData) {
+    const listId = itemData.listId;
+    const profileId = config.profileId;
+    
+    try {
+      const result = await window.imageUpload.createItem(config, itemData);
+      await window.itemHistory.record(config, itemData, result);
+      await window.listDefaults.remember(config, listId, itemData);
+      return { profileId, listId, status: 'added' };
+    } catch (error) {
+      console.error(`Error while adding to list ${listId}:`, error);
+      
+      // Server unreachable: keep the item in the outbox, the background script will send it later
+      if (window.outbox.isRetryable(error)) {
+        await window.outbox.enqueue(config, itemData, error);
+        await window.listDefaults.remember(config, listId, itemData);
+        return { profileId, listId, status: 'queued' };
+      }
+      
+      return { profileId, listId, status: 'failed', error };
+    }
+  }
+
+  /**
+   * Show the outcome of an addition, list by list when the item was sent to several lists
+   */
+  function showAddResults(itemData, results) {
+    const __ = (key, substitutions, fallback) => (window.i18n ? window.i18n.getMessage(key, substitutions) : fallback);
+    const getListName = result => getProfileConfig(result.profileId).lists.find(l => l.id === result.listId)?.name || 'list';
+    // Lists of several servers are shown under the name of their profile
+    const severalProfiles = new Set(results.map(r => r.profileId)).size > 1;
+    const added = results.filter(r => r.status === 'added');
+    const queued = results.filter(r => r.status === 'queued');
+    
+    if (added.length === results.length) {
+      elements.successTitle.textContent = __('successTitle', {}, 'Item added!');
+    } else if (added.length + queued.length === results.length) {
+      elements.successTitle.textContent = __('itemQueuedTitle', {}, 'Item queued');
+    } else {
+      elements.successTitle.textContent = __('partialSuccessTitle', {}, '⚠️ Not added to every list');
+    }
+    
+    if (added.length === 0) {
+      elements.successMessage.textContent = __('itemQueued', { name: itemData.name },
+        `The server could not be reached. "${itemData.name}" will be sent automatically later.`);
+    } else if (results.length === 1) {
+      const listName = getListName(results[0]);
+      elements.successMessage.textContent = __('itemAdded', { name: itemData.name, list: listName },
+        `"${itemData.name}" has been added to "${listName}"!`);
+    } else {
+      elements.successMessage.textContent = __('itemAddedToLists', { name: itemData.name, count: added.length },
+        `"${itemData.name}" has been added to ${added.length} list(s).`);
+    }
+    
+    elements.successResults.innerHTML = '';
+    if (results.length > 1) {
+      let profileId = null;
+      for (const result of results) {
+        if (severalProfiles && result.profileId !== profileId) {
+          profileId = result.profileId;
+          const heading = document.createElement('li');
+          heading.className = 'profile';
+          heading.textContent = getProfileLabel(profileId);
+          elements.successResults.appendChild(heading);
+        }
+        
+        const list = getListName(result);
+        const li = document.createElement('li');
+        li.className = result.status;
+        if (result.status === 'added') {
+          li.textContent = __('listResultAdded', { list }, `✓ ${list}`);
+        } else if (result.status === 'queued') {
+          li.textContent = __('listResultQueued', { list }, `⏳ ${list}: will be sent when the server is reachable`);
+        } else {
+          const error = window.wishlistApi.getErrorMessage(result.error);
+          li.textContent = __('listResultFailed', { list, error }, `✕ ${list}: ${error}`);
+        }
+        elements.successResults.appendChild(li);
+      }
+    }
+    elements.successResults.classList.toggle('hidden', results.length <= 1);
+    
+    elements.addAgainBtn.classList.remove('hidden');
+    showPage('success-page');
+  }
+
+  /**
+   * Show the "already on the list" warning
+   */
+  function showDuplicateWarning(duplicate) {
+    state.duplicate = duplicate;
+    
+    const list = getProfileConfig(duplicate.profileId).lists.find(l => l.id === duplicate.listId);
+    const listName = list ? window.wishlistApi.getListLabel(list) : duplicate.listId;
+    let message = window.i18n
+      ? window.i18n.getMessage('duplicateFound', { list: listName })
+      : `This product is already on "${listName}".`;
+    if (duplicate.price) {
+      const price = formatPrice(duplicate.price, duplicate.currency);
+      message += ` ${window.i18n ? window.i18n.getMessage('duplicatePrice', { price }) : `Saved price: ${price}.`}`;
+    }
+    elements.duplicateMessage.textContent = message;
+    
+    // Offer to update the price only when there is a new one
+    const price = parseFloat(elements.priceInput.value);
+    const currency = window.currencies.normalizeCode(elements.currencyInput.value);
+    const priceChanged = price > 0 && (price !== duplicate.price || currency !== duplicate.currency);
+    elements.updatePriceBtn.classList.toggle('hidden', !duplicate.id || !priceChanged);
+    
+    elements.duplicateWarning.classList.remove('hidden');
+  }
+
+  /**
+   * Hide the duplicate warning
+   */
+  function hideDuplicateWarning() {
+    state.duplicate = null;
+    elements.duplicateWarning.classList.add('hidden');
+  }
+
+  /**
+   * Add the item even though it is already on one of the selected lists
+   */
+  function addAnyway() {
+    state.allowDuplicateLists = getSelectedListKeys();
+    hideDuplicateWarning();
+    elements.itemForm.requestSubmit();
+  }
+
+  /**
+   * Open the list holding the existing item
+   */
+  function openExistingItem() {
+    if (!state.duplicate) return;
+    
+    const config = getProfileConfig(state.duplicate.profileId);
+    if (config.serverUrl) {
+      // Use /go route to automatically switch group if needed
+      browser.tabs.create({ url: `${config.serverUrl}/lists/${state.duplicate.listId}/go` });
+      window.close();
+    }
+  }
+
+  /**
+   * Replace the price of the existing item with the one of the form
+   */
+  async function updateExistingPrice() {
+    const duplicate = state.duplicate;
+    if (!duplicate || !duplicate.id) return;
+    
+    const price = parseFloat(elements.priceInput.value);
+    const currency = window.currencies.normalizeCode(elements.currencyInput.value);
+    if (!currency) {
+      alert(window.i18n ? window.i18n.getMessage('invalidCurrency') : 'Please choose a valid currency code (EUR, USD, CHF...)');
+      elements.currencyInput.focus();
+      return;
+    }
+    
+    elements.updatePriceBtn.disabled = true;
+    const config = getProfileConfig(duplicate.profileId);
+    
+    try {
+      await window.wishlistApi.updateItem(config, duplicate.id, { price, currency });
+      await window.itemHistory.update(config, duplicate.id, { price, currency });
+      
+      const list = config.lists.find(l => l.id === duplicate.listId);
+      const listName = list ? list.name : duplicate.listId;
+      elements.successTitle.textContent = window.i18n ? window.i18n.getMessage('priceUpdatedTitle') : '✓ Price updated';
+      elements.successMessage.textContent = window.i18n
+        ? window.i18n.getMessage('priceUpdated', { name: duplicate.name, list: listName, price: formatPrice(price, currency) })
+        : `The price of "${duplicate.name}" on "${listName}" is now ${formatPrice(price, currency)}.`;
+      
+      showPage('success-page');
+    } catch (error) {
+      console.error('Error while updating the price:', error);
+      showError(window.wishlistApi.getErrorMessage(error));
+    } finally {
+      elements.updatePriceBtn.disabled = false;
+    }
+  }
+
   /**
    * Open the Wishlist page
    */
@@ -425,10 +1670,11 @@
    * Open the currently selected list in the dropdown
    */
   function openSelectedList() {
-    const listId = elements.listSelect.value;
-    if (state.config.serverUrl && listId) {
+    const [target] = getSelectedTargets();
+    const config = target ? getProfileConfig(target.profileId) : state.config;
+    if (config.serverUrl && target) {
       // Use /go route to automatically switch group if needed
-      browser.tabs.create({ url: `${state.config.serverUrl}/lists/${listId}/go` });
+      browser.tabs.create({ url: `${config.serverUrl}/lists/${target.listId}/go` });
     }
   }
 
@@ -436,16 +1682,45 @@
    * Open the current list
    */
   function viewList() {
-    const listId = elements.listSelect.value || state.selectedListId;
-    if (state.config.serverUrl && listId) {
+    const [target] = getSelectedTargets();
+    const config = target ? getProfileConfig(target.profileId) : state.config;
+    const listId = target ? target.listId : state.selectedListId;
+    if (config.serverUrl && listId) {
       // Use /go route to automatically switch group if needed
-      browser.tabs.create({ url: `${state.config.serverUrl}/lists/${listId}/go` });
-    } else if (state.config.serverUrl) {
-      browser.tabs.create({ url: state.config.serverUrl });
+      browser.tabs.create({ url: `${config.serverUrl}/lists/${listId}/go` });
+    } else if (config.serverUrl) {
+      browser.tabs.create({ url: config.serverUrl });
     }
     window.close();
   }
 
+  /**
+   * Offer to pick several products when the page lists some (search results, categories...)
+   */
+  async function showProductListHint(tabId) {
+    try {
+      const products = await window.tabInfo.getProductList(tabId);
+      if (products.length < 2) return;
+      
+      state.productListTabId = tabId;
+      elements.productListLink.textContent = window.i18n
+        ? window.i18n.getMessage('productListFound', { count: products.length })
+        : `🛍️ ${products.length} products on this page: choose which to add`;
+      elements.productListHint.classList.remove('hidden');
+    } catch (error) {
+      console.warn('Could not look for a product list:', error);
+    }
+  }
+
+  /**
+   * Open the review page of all the tabs of the window, or of the products listed in a tab
+   */
+  function openBulkCapture(tabId) {
+    const page = tabId ? `bulk.html?tabId=${tabId}` : 'bulk.html';
+    browser.tabs.create({ url: browser.runtime.getURL(page) });
+    window.close();
+  }
+
   /**
    * Open the options page
    */
@@ -465,6 +1740,9 @@
         page.classList.toggle('hidden', id !== pageId);
       }
     }
+    
+    // A link can be read instead of the page, also when the page cannot be read
+    elements.linkSection.classList.toggle('hidden', pageId !== 'item-page' && pageId !== 'error-page');
   }
 
   /**
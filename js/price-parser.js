@@ -0,0 +1,194 @@
+/**
+ * Price parser for Wishlist Quick Add
+ * Turns a displayed price ("1 234,56 €", "CHF 1'234.50", "₹1,23,456.00", "¥1,500")
+ * into a number, using the page locale and the ISO 4217 minor units of the currency
+ * to decide which separator is the decimal one
+ */
+
+(function() {
+  'use strict';
+
+  // ISO 4217 minor units, for currencies that do not use 2 decimals
+  const MINOR_UNITS = {
+    // No decimals
+    BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+    RWF: 0, UGX: 0, UYI: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+    // Three decimals
+    BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+    // Four decimals
+    CLF: 4, UYW: 4
+  };
+
+  // Characters only ever used to group digits
+  const GROUP_ONLY = /[\s'’ʼ]/g;
+
+  // Cache of locale separators
+  const localeSeparators = new Map();
+
+  /**
+   * Get the number of decimals used by a currency (2 when unknown)
+   */
+  function getMinorUnits(currency) {
+    if (!currency) return 2;
+    const code = String(currency).toUpperCase();
+    return Object.prototype.hasOwnProperty.call(MINOR_UNITS, code) ? MINOR_UNITS[code] : 2;
+  }
+
+  /**
+   * Get the decimal and group separators of a locale (e.g. "de-CH"), or null
+   */
+  function getLocaleSeparators(locale) {
+    if (!locale) return null;
+    if (localeSeparators.has(locale)) return localeSeparators.get(locale);
+
+    let separators = null;
+    try {
+      const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+      const decimal = parts.find(p => p.type === 'decimal');
+      const group = parts.find(p => p.type === 'group');
+      separators = {
+        decimal: decimal ? decimal.value : '.',
+        group: group ? group.value : ','
+      };
+    } catch (e) {
+      // Invalid locale tag
+    }
+
+    localeSeparators.set(locale, separators);
+    return separators;
+  }
+
+  /**
+   * Detect duplicated prices (e.g., "329,00329" or "189,99189")
+   * Amazon renders the accessible price next to the visible one, textContent glues them
+   * Three digits after the separator are a thousands group ("1.001 €", "$10,001"), not a glued price
+   */
+  function fixDuplicatedPrice(number) {
+    const duplicateMatch = number.match(/^(\d+)[.,](\d{2})(\d+)$/);
+    if (duplicateMatch && duplicateMatch[3].length > 1) {
+      const [, intPart, decPart, suffix] = duplicateMatch;
+      // Check if the suffix is the start of the price (Amazon duplication pattern)
+      if (intPart.startsWith(suffix) || suffix.startsWith(intPart)) {
+        return `${intPart}.${decPart}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check that digit groups look like thousands (1,234,567) or Indian lakhs (12,34,567)
+   */
+  function isValidGrouping(groups) {
+    if (groups.length < 2) return true;
+    if (groups[0].length === 0 || groups[0].length > 3) return false;
+
+    const last = groups[groups.length - 1];
+    if (last.length !== 3) return false;
+
+    const middle = groups.slice(1, -1);
+    return middle.every(g => g.length === 3) || middle.every(g => g.length === 2);
+  }
+
+  /**
+   * Parse a price string
+   * @param {string} text - The displayed price
+   * @param {Object} options - { locale: 'fr-FR', currency: 'EUR' }
+   * @returns {{value: number, confidence: number}|null} confidence goes from 0 (guess) to 1 (unambiguous)
+   */
+  function parse(text, options = {}) {
+    if (text === undefined || text === null) return null;
+    if (typeof text === 'number') {
+      return isFinite(text) ? { value: text, confidence: 1 } : null;
+    }
+
+    const minorUnits = getMinorUnits(options.currency);
+    const separators = getLocaleSeparators(options.locale);
+
+    // Keep the first number: digit runs joined by single separators ("1 234,56"),
+    // a space only groups thousands so "49.99 12.99" stops at the first price
+    const match = String(text)
+      .replace(/[−–]/g, '-')
+      .match(/-?\d+(?:[.,'’ʼ]\d+|\s\d{3}(?!\d))*/);
+    if (!match) return null;
+
+    const negative = match[0].startsWith('-');
+    let number = match[0].replace(/^-/, '').replace(GROUP_ONLY, '');
+    if (!number) return null;
+
+    let confidence = 1;
+
+    const duplicate = fixDuplicatedPrice(number);
+    if (duplicate) {
+      number = duplicate;
+      confidence = 0.7;
+    }
+
+    const lastDot = number.lastIndexOf('.');
+    const lastComma = number.lastIndexOf(',');
+    let decimalSeparator = null;
+
+    if (lastDot !== -1 && lastComma !== -1) {
+      // Both present: the last one is the decimal separator ("1.234,56", "1,23,456.00")
+      decimalSeparator = lastDot > lastComma ? '.' : ',';
+    } else if (lastDot !== -1 || lastComma !== -1) {
+      const separator = lastDot !== -1 ? '.' : ',';
+      const occurrences = number.split(separator).length - 1;
+      const fractionLength = number.length - number.lastIndexOf(separator) - 1;
+
+      if (occurrences > 1) {
+        // Repeated separator can only group digits ("1.234.567")
+        decimalSeparator = null;
+      } else if (fractionLength !== 3) {
+        // "12,5" / "12.50" / "12,9999": not a thousands group
+        decimalSeparator = separator;
+        if (fractionLength !== minorUnits) confidence = Math.min(confidence, 0.8);
+      } else if (minorUnits === 3) {
+        // "1.234" in KWD/BHD: decimals, unless the page locale groups with this separator
+        decimalSeparator = (separators && separators.group === separator) ? null : separator;
+        confidence = Math.min(confidence, separators ? 0.8 : 0.6);
+      } else if (options.currency || !separators) {
+        // "1,234" with a 0/2 decimals currency: thousands
+        decimalSeparator = null;
+        confidence = Math.min(confidence, options.currency ? 0.8 : 0.5);
+      } else {
+        // Unknown currency, let the locale decide
+        decimalSeparator = separators.decimal === separator ? separator : null;
+        confidence = Math.min(confidence, 0.6);
+      }
+    }
+
+    let integerPart = number;
+    let fractionPart = '';
+    if (decimalSeparator) {
+      const index = number.lastIndexOf(decimalSeparator);
+      integerPart = number.slice(0, index);
+      fractionPart = number.slice(index + 1);
+    }
+
+    const groups = integerPart.split(/[.,]/);
+    if (!isValidGrouping(groups)) {
+      confidence = Math.min(confidence, 0.4);
+    }
+
+    const value = parseFloat(`${groups.join('')}.${fractionPart || '0'}`);
+    if (isNaN(value)) return null;
+
+    // A zero-decimal currency with decimals is suspicious ("¥1.5")
+    if (minorUnits === 0 && fractionPart && !/^0+$/.test(fractionPart)) {
+      confidence = Math.min(confidence, 0.5);
+    }
+
+    return {
+      value: negative ? -value : value,
+      confidence
+    };
+  }
+
+  // Export for use in other content scripts
+  window.priceParser = {
+    parse,
+    getMinorUnits,
+    getLocaleSeparators,
+    MINOR_UNITS
+  };
+})();
@@ -0,0 +1,124 @@
+/**
+ * Price tracker for Wishlist Quick Add
+ * Periodically fetches the pages of the items added through the extension
+ * and reports the ones whose price went below the saved price
+ */
+
+(function() {
+  'use strict';
+
+  const SETTINGS_KEY = 'priceTracking';
+
+  const DEFAULT_SETTINGS = {
+    // Off until the user turns it on, it fetches shop pages in the background
+    enabled: false,
+    intervalHours: 24,
+    // PATCH the new price to the Wishlist item when it drops
+    updateServer: false
+  };
+
+  // Pages fetched per run, to stay polite with the shops
+  const MAX_CHECKS_PER_RUN = 20;
+
+  /**
+   * Get the tracking settings
+   */
+  async function getSettings() {
+    const result = await browser.storage.local.get(SETTINGS_KEY);
+    return { ...DEFAULT_SETTINGS, ...result[SETTINGS_KEY] };
+  }
+
+  /**
+   * Save the tracking settings
+   */
+  async function saveSettings(settings) {
+    await browser.storage.local.set({ [SETTINGS_KEY]: { ...DEFAULT_SETTINGS, ...settings } });
+  }
+
+  /**
+   * Check whether an entry of the history can be tracked
+   */
+  function isTrackable(entry) {
+    return Boolean(entry.url && entry.price > 0 && entry.currency);
+  }
+
+  /**
+   * Check the price of an item
+   * @returns {Promise<Object|null>} { entry, price, updated } when the price dropped
+   */
+  async function checkEntry(entry, config, settings) {
+    const changes = { lastCheckedAt: Date.now(), checkError: null };
+    let drop = null;
+
+    try {
+      const info = await window.pageFetcher.fetchPageInfo(entry.url);
+      const currency = info.currency || entry.currency;
+
+      if (info.price > 0 && currency === entry.currency) {
+        changes.currentPrice = info.price;
+
+        // Notify a given price only once
+        const lastNotified = entry.notifiedPrice != null ? entry.notifiedPrice : entry.price;
+        if (info.price < entry.price && info.price < lastNotified) {
+          changes.notifiedPrice = info.price;
+          drop = { entry, price: info.price, updated: false };
+
+          if (settings.updateServer && entry.itemId) {
+            try {
+              await window.wishlistApi.updateItem(config, entry.itemId, { price: info.price, currency });
+              changes.price = info.price;
+              drop.updated = true;
+            } catch (error) {
+              console.warn('Could not update the price on the server:', error);
+            }
+          }
+        }
+      }
+    } catch (error) {
+      console.warn(`Price check failed for ${entry.url}:`, error);
+      changes.checkError = error.message;
+    }
+
+    await window.itemHistory.updateEntry(entry, changes);
+    return drop;
+  }
+
+  /**
+   * Check the items whose last check is older than the interval
+   * @param {boolean} force - Check every tracked item now, even when tracking is disabled
+   * @returns {Promise<{checked: number, drops: Array}>}
+   */
+  async function checkPrices(force = false) {
+    const settings = await getSettings();
+    if (!settings.enabled && !force) return { checked: 0, drops: [] };
+
+    const interval = settings.intervalHours * 60 * 60 * 1000;
+    const now = Date.now();
+
+    // Items never checked first, then the oldest checks
+    const due = (await window.itemHistory.getAll())
+      .filter(entry => isTrackable(entry) && (force || !entry.lastCheckedAt || now - entry.lastCheckedAt >= interval))
+      .sort((a, b) => (a.lastCheckedAt || 0) - (b.lastCheckedAt || 0))
+      .slice(0, MAX_CHECKS_PER_RUN);
+
+    const drops = [];
+    for (const entry of due) {
+      // The item is updated on the server it was added to
+      const config = await window.wishlistApi.getConfig(entry.profileId);
+      const drop = await checkEntry(entry, config, settings);
+      if (drop) drops.push(drop);
+    }
+
+    return { checked: due.length, drops };
+  }
+
+  // Export for use in other scripts
+  window.priceTracker = {
+    SETTINGS_KEY,
+    DEFAULT_SETTINGS,
+    getSettings,
+    saveSettings,
+    isTrackable,
+    checkPrices
+  };
+})();
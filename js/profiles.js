@@ -0,0 +1,192 @@
+/**
+ * Connection profiles for Wishlist Quick Add
+ * Each profile has its own server, credentials, cached lists and default list
+ * (e.g. a personal instance and a family instance)
+ *
+ * Stored in `profiles`:
+ * [{ id, name, serverUrl, apiKey, connectedUser, lists, defaultListId }]
+ * and the profile in use in `activeProfileId`.
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'profiles';
+  const ACTIVE_KEY = 'activeProfileId';
+
+  // Settings saved before profiles existed, moved to a first profile
+  const LEGACY_KEYS = ['serverUrl', 'apiKey', 'connectedUser', 'lists', 'defaultListId'];
+
+  let migration = null;
+
+  /**
+   * Generate a profile id
+   */
+  function createId() {
+    return `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * Move the single connection of older versions to a profile
+   * The items, queued items and list defaults saved until then belong to it
+   */
+  async function migrateLegacySettings() {
+    const result = await browser.storage.local.get([STORAGE_KEY, ...LEGACY_KEYS, 'addedItems', 'outbox', 'listDefaults']);
+    if (result[STORAGE_KEY] || !(result.serverUrl || result.apiKey)) return;
+
+    const profile = {
+      id: createId(),
+      name: getHostname(result.serverUrl) || 'Wishlist',
+      serverUrl: result.serverUrl || '',
+      apiKey: result.apiKey || '',
+      connectedUser: result.connectedUser || null,
+      lists: result.lists || [],
+      defaultListId: result.defaultListId || ''
+    };
+
+    const listDefaults = {};
+    for (const [listId, defaults] of Object.entries(result.listDefaults || {})) {
+      listDefaults[`${profile.id}/${listId}`] = defaults;
+    }
+
+    await browser.storage.local.set({
+      [STORAGE_KEY]: [profile],
+      [ACTIVE_KEY]: profile.id,
+      addedItems: (result.addedItems || []).map(entry => ({ profileId: profile.id, ...entry })),
+      outbox: (result.outbox || []).map(entry => ({ profileId: profile.id, ...entry })),
+      listDefaults
+    });
+    await browser.storage.local.remove(LEGACY_KEYS);
+  }
+
+  /**
+   * Run the migration once per page
+   */
+  function ensureMigrated() {
+    if (!migration) {
+      migration = migrateLegacySettings().catch(error => {
+        console.error('Wishlist: could not migrate the settings to a profile:', error);
+      });
+    }
+    return migration;
+  }
+
+  /**
+   * Get all profiles
+   */
+  async function getAll() {
+    await ensureMigrated();
+    const result = await browser.storage.local.get(STORAGE_KEY);
+    return result[STORAGE_KEY] || [];
+  }
+
+  /**
+   * Save all profiles
+   */
+  async function saveAll(profiles) {
+    await browser.storage.local.set({ [STORAGE_KEY]: profiles });
+  }
+
+  /**
+   * Get a profile by id
+   */
+  async function get(id) {
+    return (await getAll()).find(p => p.id === id) || null;
+  }
+
+  /**
+   * Get the profile in use, the first one if none was chosen
+   */
+  async function getActive() {
+    const profiles = await getAll();
+    const result = await browser.storage.local.get(ACTIVE_KEY);
+    return profiles.find(p => p.id === result[ACTIVE_KEY]) || profiles[0] || null;
+  }
+
+  /**
+   * Choose the profile in use
+   */
+  async function setActive(id) {
+    await browser.storage.local.set({ [ACTIVE_KEY]: id });
+  }
+
+  /**
+   * Create an empty profile and make it the one in use
+   */
+  async function create(name) {
+    const profiles = await getAll();
+    const profile = {
+      id: createId(),
+      name: name || '',
+      serverUrl: '',
+      apiKey: '',
+      connectedUser: null,
+      lists: [],
+      defaultListId: ''
+    };
+
+    profiles.push(profile);
+    await saveAll(profiles);
+    await setActive(profile.id);
+    return profile;
+  }
+
+  /**
+   * Change some fields of a profile
+   */
+  async function update(id, changes) {
+    const profiles = await getAll();
+    const profile = profiles.find(p => p.id === id);
+    if (!profile) return null;
+
+    Object.assign(profile, changes);
+    await saveAll(profiles);
+    return profile;
+  }
+
+  /**
+   * Delete a profile, the first remaining one is used instead
+   */
+  async function remove(id) {
+    const profiles = (await getAll()).filter(p => p.id !== id);
+    await saveAll(profiles);
+
+    const result = await browser.storage.local.get(ACTIVE_KEY);
+    if (result[ACTIVE_KEY] === id) {
+      await setActive(profiles[0] ? profiles[0].id : null);
+    }
+  }
+
+  /**
+   * Get the hostname of a server URL, '' if invalid
+   */
+  function getHostname(serverUrl) {
+    try {
+      return new URL(serverUrl).hostname;
+    } catch (e) {
+      return '';
+    }
+  }
+
+  /**
+   * Get the display name of a profile
+   */
+  function getLabel(profile) {
+    return profile.name || getHostname(profile.serverUrl) ||
+      (window.i18n ? window.i18n.getMessage('unnamedProfile') : 'New profile');
+  }
+
+  // Export for use in other scripts
+  window.profiles = {
+    STORAGE_KEY,
+    ACTIVE_KEY,
+    getAll,
+    get,
+    getActive,
+    setActive,
+    create,
+    update,
+    remove,
+    getLabel
+  };
+})();
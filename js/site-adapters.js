@@ -0,0 +1,72 @@
+/**
+ * Site adapter registry for Wishlist Quick Add
+ * Holds per-site extractors that the PageParser consults before its generic fallback chain
+ *
+ * An adapter is a plain object:
+ * {
+ *   name: 'amazon',
+ *   matches(hostname) { return true/false; },
+ *   getTitle(parser), getDescription(parser), getImages(parser),
+ *   getPrice(parser), getCurrency(parser),
+ *   getOriginalPrice(parser),  // crossed-out price when on sale
+ *   getUnitPrice(parser),      // { price, unit: 'kg' }
+ *   getVariant(parser),        // { options: [{ name, value }], name?, image?, price? }
+ *   getProducts(parser)        // listing pages: [{ title, url, images, price, currency }]
+ * }
+ * Every extractor is optional. It receives the PageParser instance (to read the page
+ * through parser.document / parser.location, which may be a fetched page rather than
+ * the live one, and to reuse helpers such as getMetaValue() or parsePrice()) and
+ * returns null / an empty array to let the generic extraction take over.
+ */
+
+(function() {
+  'use strict';
+
+  // Registered adapters, in registration order
+  const adapters = [];
+
+  /**
+   * Register a site adapter (replaces an existing adapter with the same name)
+   */
+  function register(adapter) {
+    if (!adapter || !adapter.name || typeof adapter.matches !== 'function') {
+      console.warn('Wishlist: ignoring invalid site adapter', adapter);
+      return;
+    }
+
+    const index = adapters.findIndex(a => a.name === adapter.name);
+    if (index !== -1) {
+      adapters[index] = adapter;
+    } else {
+      adapters.push(adapter);
+    }
+  }
+
+  /**
+   * Find the first adapter matching a hostname
+   */
+  function find(hostname) {
+    for (const adapter of adapters) {
+      try {
+        if (adapter.matches(hostname)) return adapter;
+      } catch (e) {
+        console.warn(`Wishlist: site adapter "${adapter.name}" failed to match:`, e);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the names of all registered adapters
+   */
+  function list() {
+    return adapters.map(a => a.name);
+  }
+
+  // Export for use in other content scripts
+  window.siteAdapters = {
+    register,
+    find,
+    list
+  };
+})();
@@ -0,0 +1,52 @@
+/**
+ * Tab helpers for Wishlist Quick Add
+ * Asks the content scripts of a tab for the product information, injecting them if needed
+ */
+
+(function() {
+  'use strict';
+
+  /**
+   * Send a request to the content scripts of a tab
+   * Throws if the page cannot be scripted (about:, addons.mozilla.org...) or extraction failed
+   */
+  async function request(tabId, action) {
+    let response;
+    try {
+      response = await browser.tabs.sendMessage(tabId, { action });
+    } catch (e) {
+      // The content scripts may not be loaded, inject them in manifest order
+      const contentScripts = browser.runtime.getManifest().content_scripts[0].js;
+      for (const file of contentScripts) {
+        await browser.tabs.executeScript(tabId, { file });
+      }
+      response = await browser.tabs.sendMessage(tabId, { action });
+    }
+
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || 'Extraction error');
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Get the information extracted from the page of a tab
+   */
+  function getPageInfo(tabId) {
+    return request(tabId, 'getPageInfo');
+  }
+
+  /**
+   * Get the products listed on the page of a tab (search results, categories...), empty if none
+   */
+  function getProductList(tabId) {
+    return request(tabId, 'getProductList');
+  }
+
+  // Export for use in other scripts
+  window.tabInfo = {
+    getPageInfo,
+    getProductList
+  };
+})();
@@ -0,0 +1,227 @@
+/**
+ * URL cleaner for Wishlist Quick Add
+ * Removes tracking parameters and reduces product URLs to their canonical form,
+ * so that the same product is recognised whatever link led to it
+ *
+ * Rules are stored in `urlRules` (the defaults are used until the user edits them):
+ * {
+ *   sites: [{
+ *     name: 'Amazon',
+ *     host: 'amazon.*',                               // hostname pattern, * is a wildcard, subdomains match
+ *     path: '/(?:dp|gp/product)/([A-Z0-9]{10})',      // regular expression on the path, the rule only
+ *                                                     // applies to the pages it matches
+ *     replace: '/dp/$1',                              // new path, $1... are the captured groups
+ *     keepParams: []                                  // query parameters to keep, null keeps them all
+ *   }],
+ *   trackingParams: ['utm_*', 'gclid', ...]           // always removed, * is a wildcard
+ * }
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'urlRules';
+
+  const DEFAULT_RULES = {
+    sites: [
+      { name: 'Amazon', host: 'amazon.*', path: '/(?:dp|gp/product|gp/aw/d)/([A-Z0-9]{10})', replace: '/dp/$1', keepParams: [] },
+      { name: 'eBay', host: 'ebay.*', path: '/itm/(?:[^/]+/)?(\\d+)', replace: '/itm/$1', keepParams: ['var'] },
+      { name: 'AliExpress', host: 'aliexpress.*', path: '/item/(\\d+)\\.html', replace: '/item/$1.html', keepParams: [] },
+      { name: 'Etsy', host: 'etsy.com', path: '/(?:[a-z-]+/)?listing/(\\d+)', replace: '/listing/$1', keepParams: [] }
+    ],
+    trackingParams: [
+      'utm_*', 'pd_rd_*', 'pf_rd_*', 'hsa_*', 'mtm_*', 'pk_*',
+      'gclid', 'gclsrc', 'dclid', 'fbclid', 'msclkid', 'yclid', 'twclid', 'ttclid',
+      'mc_cid', 'mc_eid', '_ga', '_gl', 'igshid', 'srsltid',
+      'ascsubtag', 'affid', 'aff_id', 'cmpid'
+    ]
+  };
+
+  // Rules in use, kept in sync with storage
+  let currentRules = DEFAULT_RULES;
+
+  /**
+   * Parse a URL, null if invalid
+   */
+  function parse(url) {
+    try {
+      return new URL(url);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Convert a wildcard pattern ("utm_*") to a regular expression
+   */
+  function wildcardToRegExp(pattern, prefix = '^') {
+    const escaped = pattern.trim().toLowerCase()
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*');
+    return new RegExp(`${prefix}${escaped}$`);
+  }
+
+  /**
+   * Check whether a query parameter is a tracking parameter
+   */
+  function isTrackingParam(name, rules) {
+    const lower = name.toLowerCase();
+    return rules.trackingParams.some(pattern => wildcardToRegExp(pattern).test(lower));
+  }
+
+  /**
+   * Find the site rule of a hostname
+   */
+  function findSiteRule(hostname, rules) {
+    return rules.sites.find(rule => {
+      try {
+        return rule.host && wildcardToRegExp(rule.host, '(^|\\.)').test(hostname.toLowerCase());
+      } catch (e) {
+        return false;
+      }
+    }) || null;
+  }
+
+  /**
+   * Apply a site rule to a parsed URL
+   */
+  function applySiteRule(parsed, rule) {
+    if (rule.path) {
+      let match = null;
+      try {
+        match = parsed.pathname.match(new RegExp(rule.path, 'i'));
+      } catch (e) {
+        console.warn(`Wishlist: invalid path pattern in URL rule "${rule.name}":`, e);
+      }
+      // Search results and the other pages of the site keep their parameters
+      if (!match) return;
+      if (rule.replace) {
+        parsed.pathname = rule.replace.replace(/\$(\d)/g, (m, index) => match[index] || '');
+      }
+    }
+
+    if (Array.isArray(rule.keepParams)) {
+      const keep = rule.keepParams.map(param => param.toLowerCase());
+      for (const name of [...parsed.searchParams.keys()]) {
+        if (!keep.includes(name.toLowerCase())) parsed.searchParams.delete(name);
+      }
+    }
+  }
+
+  /**
+   * Clean a product URL: site rule, no tracking parameters, no fragment
+   * @param {string} url
+   * @param {Object} rules - Rules to use instead of the saved ones (preview in the options)
+   */
+  function clean(url, rules = currentRules) {
+    const parsed = parse(url);
+    if (!parsed || !/^https?:$/.test(parsed.protocol)) return url;
+
+    const rule = findSiteRule(parsed.hostname, rules);
+    if (rule) {
+      applySiteRule(parsed, rule);
+    }
+
+    for (const name of [...parsed.searchParams.keys()]) {
+      if (isTrackingParam(name, rules)) parsed.searchParams.delete(name);
+    }
+    parsed.hash = '';
+
+    // No dangling "?" when every parameter was removed
+    return parsed.toString().replace(/\?$/, '');
+  }
+
+  /**
+   * Get a key identifying the product of a URL, to compare two URLs
+   * ("http://www.Shop.com/p/1/?b=2&a=1" and "https://shop.com/p/1?a=1&b=2" give the same key)
+   */
+  function getComparisonKey(url) {
+    const parsed = parse(clean(url));
+    if (!parsed) return url;
+
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const path = parsed.pathname.replace(/\/+$/, '');
+    parsed.searchParams.sort();
+    const query = parsed.searchParams.toString();
+
+    return `${host}${path}${query ? `?${query}` : ''}`;
+  }
+
+  /**
+   * Check whether two URLs point to the same product
+   */
+  function isSameProduct(url1, url2) {
+    if (!url1 || !url2) return false;
+    return getComparisonKey(url1) === getComparisonKey(url2);
+  }
+
+  /**
+   * Check a rule set, returns the error messages
+   */
+  function validateRules(rules) {
+    const errors = [];
+    for (const rule of rules.sites) {
+      if (!rule.host) {
+        errors.push(`${rule.name || '?'}: host`);
+        continue;
+      }
+      try {
+        if (rule.path) new RegExp(rule.path);
+      } catch (e) {
+        errors.push(`${rule.name || rule.host}: ${e.message}`);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Get the rules in use
+   */
+  function getRules() {
+    return currentRules;
+  }
+
+  /**
+   * Load the rules from storage
+   */
+  async function loadRules() {
+    const result = await browser.storage.local.get(STORAGE_KEY);
+    currentRules = result[STORAGE_KEY] || DEFAULT_RULES;
+    return currentRules;
+  }
+
+  /**
+   * Save custom rules (null restores the defaults)
+   */
+  async function saveRules(rules) {
+    if (rules) {
+      await browser.storage.local.set({ [STORAGE_KEY]: rules });
+    } else {
+      await browser.storage.local.remove(STORAGE_KEY);
+    }
+    currentRules = rules || DEFAULT_RULES;
+  }
+
+  // Keep every page of the extension in sync with the options
+  if (typeof browser !== 'undefined' && browser.storage) {
+    loadRules().catch(error => console.warn('Wishlist: could not load the URL rules:', error));
+    browser.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && STORAGE_KEY in changes) {
+        currentRules = changes[STORAGE_KEY].newValue || DEFAULT_RULES;
+      }
+    });
+  }
+
+  // Export for use in other scripts
+  window.urlCleaner = {
+    STORAGE_KEY,
+    DEFAULT_RULES,
+    clean,
+    getComparisonKey,
+    isSameProduct,
+    validateRules,
+    getRules,
+    loadRules,
+    saveRules
+  };
+})();
@@ -0,0 +1,69 @@
+/**
+ * Test helpers for Wishlist Quick Add
+ * Runs the extraction scripts of the content script in a jsdom window, as Firefox loads them on a page
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// The content scripts after the parser only handle the picker and the popup messages
+const LAST_PARSER_SCRIPT = 'js/page-parser.js';
+
+/**
+ * Get the scripts the PageParser needs, in the order of the manifest
+ */
+function getParserScripts() {
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+  const scripts = manifest.content_scripts[0].js;
+  return scripts.slice(0, scripts.indexOf(LAST_PARSER_SCRIPT) + 1);
+}
+
+/**
+ * Load a page and extension scripts in a jsdom window
+ * @param {string} html - Page source
+ * @param {string} url - URL the page was saved from
+ * @param {string[]} scripts - Scripts to run, the parser scripts by default
+ * @returns {Window} The window, with window.PageParser by default
+ */
+function loadPage(html, url, scripts = getParserScripts()) {
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true });
+  for (const script of scripts) {
+    dom.window.eval(fs.readFileSync(path.join(ROOT, script), 'utf8'));
+  }
+  return dom.window;
+}
+
+/**
+ * Read a saved page of test/fixtures
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+/**
+ * Extract the product of a saved page, like the content script does
+ * @param {string} name - File name in test/fixtures
+ * @param {string} url - URL the page was saved from
+ * @param {Object} customRule - Extraction rule of the user for the site (see extraction-rules.js)
+ * @returns {Object} The page information, copied out of the window so assert.deepStrictEqual() can compare it
+ */
+function parseFixture(name, url, customRule = null) {
+  const window = loadPage(readFixture(name), url);
+  const parser = new window.PageParser();
+  parser.customRule = customRule;
+  const info = JSON.parse(JSON.stringify(parser.parseCurrentPage()));
+  window.close();
+  return info;
+}
+
+module.exports = {
+  loadPage,
+  readFixture,
+  parseFixture
+};
@@ -0,0 +1,137 @@
+/**
+ * imageUpload tests: which fields and file reach the server, and what is sent when the upload fails
+ */
+
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers');
+
+const SERVER = 'https://wishlist.example.com';
+const CONFIG = { serverUrl: SERVER, apiKey: 'key' };
+const PASTED_IMAGE = `data:image/png;base64,${'A'.repeat(2000)}`;
+
+const window = loadPage('<!doctype html><html><body></body></html>', 'https://example.com/', [
+  'js/api.js',
+  'js/image-upload.js'
+]);
+
+let settings;
+let requests;
+let serverStatuses;
+let serverErrors;
+let imageError;
+
+window.browser = {
+  storage: { local: { get: async () => ({ imageUpload: settings }) } }
+};
+
+/**
+ * Answer the image downloads and record the API requests, the server answers with the next status
+ */
+window.fetch = async (url, options = {}) => {
+  if (!url.startsWith(SERVER)) {
+    if (imageError) throw imageError;
+    return { ok: true, blob: async () => new window.Blob(['png'], { type: 'image/png' }) };
+  }
+
+  const isForm = options.body instanceof window.FormData;
+  requests.push({
+    method: options.method,
+    file: isForm ? options.body.get('image') : null,
+    item: isForm ? JSON.parse(await options.body.get('item').text()) : JSON.parse(options.body)
+  });
+  const status = serverStatuses.shift() || 201;
+  return {
+    ok: status < 400,
+    status,
+    statusText: String(status),
+    json: async () => (status < 400 ? { id: 'item-1' } : { error: serverErrors.shift() || 'Refused' })
+  };
+};
+
+describe('imageUpload.createItem', () => {
+  beforeEach(() => {
+    // The original file, createImageBitmap is not available outside a browser
+    settings = { enabled: false, maxSize: 0 };
+    requests = [];
+    serverStatuses = [];
+    serverErrors = [];
+    imageError = null;
+  });
+
+  it('sends a web image URL as it is when the upload is off', async () => {
+    await window.imageUpload.createItem(CONFIG, { name: 'Kettle', imageUrl: 'https://shop.example.com/kettle.jpg' });
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].file, null);
+    assert.equal(requests[0].item.imageUrl, 'https://shop.example.com/kettle.jpg');
+  });
+
+  it('uploads a pasted image in place of its data: URL', async () => {
+    await window.imageUpload.createItem(CONFIG, { name: 'Kettle', imageUrl: PASTED_IMAGE });
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].file.name, 'image.png');
+    assert.equal(requests[0].item.imageUrl, null);
+  });
+
+  it('leaves a pasted image out when the server refuses the file', async () => {
+    serverStatuses = [415];
+    const result = await window.imageUpload.createItem(CONFIG, { name: 'Kettle', imageUrl: PASTED_IMAGE });
+
+    assert.equal(result.id, 'item-1');
+    assert.equal(requests.length, 2);
+    assert.ok(requests[0].file);
+    assert.equal(requests[1].file, null);
+    assert.deepEqual({ ...requests[1].item }, { name: 'Kettle', imageUrl: null });
+  });
+
+  it('leaves a pasted image out when it cannot be read', async () => {
+    imageError = new Error('Unreadable');
+    await window.imageUpload.createItem(CONFIG, { name: 'Kettle', imageUrl: PASTED_IMAGE });
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].item.imageUrl, null);
+  });
+
+  it('keeps the URL of a web image when the server refuses the file', async () => {
+    settings.enabled = true;
+    serverStatuses = [413];
+    await window.imageUpload.createItem(CONFIG, { name: 'Kettle', imageUrl: 'https://shop.example.com/kettle.jpg' });
+
+    assert.equal(requests.length, 2);
+    assert.equal(requests[0].item.imageUrl, 'https://shop.example.com/kettle.jpg');
+    assert.equal(requests[1].file, null);
+    assert.equal(requests[1].item.imageUrl, 'https://shop.example.com/kettle.jpg');
+  });
+
+  it('sends the item again without the file when a 400 is about the image', async () => {
+    serverStatuses = [400];
+    serverErrors = ['Unsupported image type'];
+    await window.imageUpload.createItem(CONFIG, { name: 'Kettle', imageUrl: PASTED_IMAGE });
+
+    assert.equal(requests.length, 2);
+    assert.equal(requests[1].file, null);
+  });
+
+  it('reports a 400 about another field without sending the item again', async () => {
+    serverStatuses = [400];
+    serverErrors = ['Invalid price'];
+    await assert.rejects(
+      window.imageUpload.createItem(CONFIG, { name: 'Kettle', price: -1, imageUrl: PASTED_IMAGE }),
+      error => error.status === 400 && error.message === 'Invalid price'
+    );
+    assert.equal(requests.length, 1);
+  });
+
+  it('does not retry without the file when the server cannot be reached', async () => {
+    serverStatuses = [503];
+    await assert.rejects(
+      window.imageUpload.createItem(CONFIG, { name: 'Kettle', imageUrl: PASTED_IMAGE }),
+      error => error.status === 503
+    );
+    assert.equal(requests.length, 1);
+  });
+});
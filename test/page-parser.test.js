@@ -0,0 +1,290 @@
+/**
+ * PageParser tests on saved product pages (test/fixtures)
+ * Fixtures are trimmed copies of real pages: keep the markup the extraction reads, drop the rest
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, readFixture, parseFixture } = require('./helpers');
+
+// expected.images are the first images, best first; excludedImages must not be offered at all
+const PAGES = [
+  {
+    name: 'Amazon FR',
+    fixture: 'amazon-fr.html',
+    url: 'https://www.amazon.fr/dp/B00X7Q5E4Q',
+    expected: {
+      title: "De'Longhi Dedica EC685.M Machine à expresso, Métal",
+      price: 169.99,
+      originalPrice: 229.99,
+      currency: 'EUR',
+      images: [
+        'https://m.media-amazon.com/images/I/61vpTvH4cBL._AC_SL1500_.jpg',
+        'https://m.media-amazon.com/images/I/41hT3sY0WBL._AC_SL1500_.jpg',
+        'https://m.media-amazon.com/images/I/41LgXPxwOaL._AC_SL1500_.jpg',
+        'https://m.media-amazon.com/images/I/51ttnC9QTeL._AC_SL1500_.jpg'
+      ]
+    },
+    // Video thumbnail and related products
+    excludedImages: [
+      'https://m.media-amazon.com/images/I/31Zb2xSw0kL.SS40_BG85,85,85_BR-120_PKdp-play-icon-overlay__.jpg',
+      'https://m.media-amazon.com/images/I/71xCRt0aGrL._AC_SL1500_.jpg'
+    ]
+  },
+  {
+    name: 'Amazon DE',
+    fixture: 'amazon-de.html',
+    url: 'https://www.amazon.de/dp/B09Y2MYL5C',
+    expected: {
+      title: 'Sony WH-1000XM5 kabellose Bluetooth Noise Cancelling Kopfhörer (30h Akku, Touch Sensor, Headphones Connect App, Schnellladefunktion) Schwarz',
+      price: 1299,
+      currency: 'EUR',
+      images: [
+        'https://m.media-amazon.com/images/I/51aXvjzcukL._AC_SL1500_.jpg',
+        'https://m.media-amazon.com/images/I/31vOBg8cKtL._AC_SL1500_.jpg',
+        'https://m.media-amazon.com/images/I/41Bqx0wfxML._AC_SL1500_.jpg'
+      ]
+    },
+    imageCount: 3
+  },
+  {
+    name: 'Amazon US',
+    fixture: 'amazon-com.html',
+    url: 'https://www.amazon.com/dp/B0CX23V2ZK',
+    expected: {
+      title: 'Apple 2024 MacBook Air 13-inch Laptop with M3 chip: 13.6-inch Liquid Retina Display, 16GB Unified Memory, 512GB SSD Storage; Midnight',
+      price: 1234.56,
+      originalPrice: 1499,
+      currency: 'USD',
+      images: [
+        'https://m.media-amazon.com/images/I/71f5Eu5lJSL._AC_SL1500_.jpg',
+        'https://m.media-amazon.com/images/I/31Nv6ONRXoL._AC_SL1500_.jpg',
+        'https://m.media-amazon.com/images/I/41gRbBCrdOL._AC_SL1500_.jpg'
+      ]
+    }
+  },
+  {
+    name: 'Amazon UK (book, price in split spans only)',
+    fixture: 'amazon-co-uk.html',
+    url: 'https://www.amazon.co.uk/dp/1529918049',
+    expected: {
+      title: 'The Thursday Murder Club: (The Thursday Murder Club 1)',
+      price: 4.49,
+      currency: 'GBP',
+      images: ['https://m.media-amazon.com/images/I/81JmCHnMF0L._AC_SL1500_.jpg']
+    }
+  },
+  {
+    name: 'Shopify',
+    fixture: 'shopify.html',
+    url: 'https://northwind-coffee.com/products/ceramic-pour-over-dripper?variant=44012345678901',
+    expected: {
+      url: 'https://northwind-coffee.com/products/ceramic-pour-over-dripper',
+      title: 'Ceramic Pour-Over Dripper',
+      price: 34,
+      currency: 'USD',
+      sku: 'NW-DRIP-WHT',
+      images: [
+        'https://northwind-coffee.com/cdn/shop/files/dripper-white.jpg?v=1712345678',
+        'https://northwind-coffee.com/cdn/shop/files/dripper-black.jpg?v=1712345679&width=1946'
+      ]
+    },
+    excludedImages: [
+      'https://northwind-coffee.com/cdn/shop/files/logo.png?v=1699&width=240',
+      'https://northwind-coffee.com/cdn/shop/files/payment-icons.png'
+    ]
+  },
+  {
+    name: 'WooCommerce (on sale)',
+    fixture: 'woocommerce.html',
+    url: 'https://maison-du-the.fr/produit/theiere-fonte-tetsubin/',
+    expected: {
+      title: 'Théière en fonte Tetsubin 0,8 L',
+      price: 39.9,
+      originalPrice: 49.9,
+      currency: 'EUR',
+      images: ['https://maison-du-the.fr/wp-content/uploads/2024/03/tetsubin-noire.jpg']
+    },
+    excludedImages: [
+      'https://maison-du-the.fr/wp-content/uploads/2023/01/logo.png',
+      'https://maison-du-the.fr/wp-content/uploads/2023/01/paiement-securise.png'
+    ]
+  },
+  {
+    name: 'Magento (microdata, Swiss francs)',
+    fixture: 'magento.html',
+    url: 'https://www.velo-shop.ch/trekking-e-bike-tour-500.html',
+    expected: {
+      title: 'Trekking E-Bike Tour 500',
+      price: 2499,
+      originalPrice: 2899,
+      currency: 'CHF',
+      description: 'Komfortables Trekking-Rad mit Mittelmotor und 500-Wh-Akku.',
+      images: ['https://www.velo-shop.ch/media/catalog/product/cache/6517c62f5899ad6aa0ba23ceb3eeff97/t/o/tour-500-grau_1.jpg']
+    },
+    excludedImages: [
+      'https://www.velo-shop.ch/static/frontend/Velo/default/de_CH/images/logo.svg',
+      'https://www.velo-shop.ch/media/wysiwyg/menu/sale-teaser.jpg',
+      'https://www.velo-shop.ch/media/wysiwyg/footer/zahlungsarten.png'
+    ]
+  },
+  {
+    name: 'Open Graph only (lazy-loaded gallery)',
+    fixture: 'opengraph.html',
+    url: 'https://lumeo.pl/lampa-wiszaca-orbita-40',
+    expected: {
+      title: 'Lampa wisząca Orbita 40 cm',
+      price: 459,
+      currency: 'PLN',
+      images: [
+        'https://lumeo.pl/img/products/orbita-40-front.jpg',
+        'https://lumeo.pl/img/products/orbita-40-side-1200x1200.jpg',
+        'https://lumeo.pl/img/products/orbita-40-detail.webp?w=1600',
+        'https://lumeo.pl/img/products/orbita-40-wnetrze.jpg'
+      ]
+    },
+    imageCount: 4
+  }
+];
+
+// A product in two colours, the URL tells which one is selected
+const VARIANT_PAGE = `<!doctype html><html><head><script type="application/ld+json">${JSON.stringify({
+  '@context': 'https://schema.org',
+  '@type': 'ProductGroup',
+  name: 'Linen shirt',
+  hasVariant: [
+    { '@type': 'Product', name: 'Linen shirt - Red', url: 'https://shop.example.com/shirt?color=red', offers: { '@type': 'Offer', price: '39.00', priceCurrency: 'EUR' } },
+    { '@type': 'Product', name: 'Linen shirt - Blue', url: 'https://shop.example.com/shirt?color=blue', offers: { '@type': 'Offer', price: '42.00', priceCurrency: 'EUR' } }
+  ]
+})}</script></head><body><h1>Linen shirt <small>(new season)</small></h1><p class="member-price">Members: 35,00 €</p></body></html>`;
+
+describe('PageParser on saved product pages', () => {
+  for (const page of PAGES) {
+    describe(page.name, () => {
+      const info = parseFixture(page.fixture, page.url);
+      const { images, ...fields } = page.expected;
+
+      for (const [field, value] of Object.entries(fields)) {
+        it(`reads the ${field}`, () => {
+          assert.equal(info[field], value);
+        });
+      }
+
+      it('lists the product images first', () => {
+        assert.deepEqual(info.images.slice(0, images.length), images);
+        if (page.imageCount !== undefined) {
+          assert.equal(info.images.length, page.imageCount);
+        }
+      });
+
+      if (page.excludedImages) {
+        it('leaves out logos, icons and unrelated images', () => {
+          for (const image of page.excludedImages) {
+            assert.ok(!info.images.includes(image), image);
+          }
+        });
+      }
+    });
+  }
+});
+
+describe('PageParser on Amazon storefronts', () => {
+  const html = `<!doctype html><html><body>
+    <span id="productTitle">Electric kettle</span>
+    <div id="corePrice_feature_div"><span class="a-price"><span class="a-offscreen">$49.95</span></span></div>
+  </body></html>`;
+
+  for (const [hostname, currency] of [['www.amazon.com.au', 'AUD'], ['www.amazon.com.br', 'BRL'], ['www.amazon.com', 'USD']]) {
+    it(`reads the currency of ${hostname}`, () => {
+      const window = loadPage(html, `https://${hostname}/dp/B0C1KETTLE`);
+      const info = new window.PageParser().parseCurrentPage();
+
+      assert.equal(info.currency, currency);
+      assert.equal(info.price, 49.95);
+      window.close();
+    });
+  }
+});
+
+describe('PageParser on a page fetched in the background', () => {
+  it('reads a parsed document like the live page', () => {
+    // page-fetcher.js parses the HTML with DOMParser: no rendering, no computed style
+    const url = 'https://lumeo.pl/lampa-wiszaca-orbita-40';
+    const window = loadPage('<!doctype html><html><body></body></html>', 'https://extension.invalid/');
+    const doc = new window.DOMParser().parseFromString(readFixture('opengraph.html'), 'text/html');
+    const info = new window.PageParser(doc, url).parseCurrentPage();
+
+    assert.equal(info.title, 'Lampa wisząca Orbita 40 cm');
+    assert.equal(info.price, 459);
+    assert.equal(info.currency, 'PLN');
+    assert.equal(info.images[0], 'https://lumeo.pl/img/products/orbita-40-front.jpg');
+    assert.equal(info.images[1], 'https://lumeo.pl/img/products/orbita-40-side-1200x1200.jpg');
+    window.close();
+  });
+});
+
+describe('PageParser on a single-page shop', () => {
+  it('reads the URL of the page at each parse', () => {
+    // content.js keeps one parser while the shop changes the URL with history.pushState
+    const window = loadPage(VARIANT_PAGE, 'https://shop.example.com/shirt?color=red');
+    const parser = new window.PageParser();
+
+    assert.equal(parser.parseCurrentPage().price, 39);
+    window.history.pushState({}, '', '/shirt?color=blue');
+    const info = parser.parseCurrentPage();
+
+    assert.equal(info.url, 'https://shop.example.com/shirt?color=blue');
+    assert.equal(info.title, 'Linen shirt - Blue');
+    assert.equal(info.price, 42);
+    window.close();
+  });
+});
+
+describe('PageParser with an extraction rule', () => {
+  it('reads the fields of the rule instead of the page data', () => {
+    const info = parseFixture('woocommerce.html', 'https://maison-du-the.fr/produit/theiere-fonte-tetsubin/', {
+      domain: 'maison-du-the.fr',
+      fields: {
+        price: { selector: '.price del bdi' },
+        title: { selector: 'h1', regex: '^(.*?) \\d' }
+      }
+    });
+
+    assert.equal(info.price, 49.9);
+    assert.equal(info.title, 'Théière en fonte Tetsubin');
+  });
+
+  it('keeps the fields of the rule on a page with variants', () => {
+    const window = loadPage(VARIANT_PAGE, 'https://shop.example.com/shirt?color=blue');
+    const parser = new window.PageParser();
+    parser.customRule = { domain: 'shop.example.com', fields: { price: { selector: '.member-price' } } };
+    const info = parser.parseCurrentPage();
+
+    assert.equal(info.price, 35);
+    assert.equal(info.title, 'Linen shirt - Blue');
+    parser.customRule = { domain: 'shop.example.com', fields: { title: { selector: 'h1', regex: '^(.*?) \\(' } } };
+    const titled = parser.parseCurrentPage();
+
+    assert.equal(titled.title, 'Linen shirt');
+    assert.equal(titled.price, 42);
+    window.close();
+  });
+});
+
+describe('PageParser on a listing page', () => {
+  it('keeps only the products with a web address', () => {
+    const html = `<!doctype html><html><body>
+      <div itemscope itemtype="https://schema.org/Product"><a itemprop="url" href="/p/1"><span itemprop="name">Mug</span></a></div>
+      <div itemscope itemtype="https://schema.org/Product"><a itemprop="url" href="javascript:addToCart(2)"><span itemprop="name">Cup</span></a></div>
+      <div itemscope itemtype="https://schema.org/Product"><a itemprop="url" href="data:text/html,<h1>Bowl</h1>"><span itemprop="name">Bowl</span></a></div>
+      <div itemscope itemtype="https://schema.org/Product"><a itemprop="url" href="https://shop.example.com/p/4"><span itemprop="name">Plate</span></a></div>
+    </body></html>`;
+    const window = loadPage(html, 'https://shop.example.com/kitchen');
+    const products = new window.PageParser().parseProductList();
+
+    assert.deepEqual(Array.from(products, product => product.url), ['https://shop.example.com/p/1', 'https://shop.example.com/p/4']);
+    window.close();
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * priceParser tests: separators by locale and currency, and prices glued by textContent
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers');
+
+const window = loadPage('<!doctype html><html><body></body></html>', 'https://example.com/');
+const { parse } = window.priceParser;
+
+/**
+ * Parse a price and keep the fields to compare
+ */
+function parsePrice(text, options) {
+  const result = parse(text, options);
+  return result ? { value: result.value, confidence: result.confidence } : null;
+}
+
+describe('priceParser.parse', () => {
+  it('reads the decimal separator of the locale and the currency', () => {
+    assert.equal(parse('1 234,56 €', { locale: 'fr-FR', currency: 'EUR' }).value, 1234.56);
+    assert.equal(parse('1.299,00 €', { locale: 'de-DE', currency: 'EUR' }).value, 1299);
+    assert.equal(parse('$1,234.56', { locale: 'en-US', currency: 'USD' }).value, 1234.56);
+    assert.equal(parse("CHF 2'499.00", { locale: 'de-CH', currency: 'CHF' }).value, 2499);
+    assert.equal(parse('₹1,23,456.00', { locale: 'en-IN', currency: 'INR' }).value, 123456);
+    assert.equal(parse('¥1,500', { locale: 'ja-JP', currency: 'JPY' }).value, 1500);
+  });
+
+  it('keeps the first of several prices', () => {
+    assert.equal(parse('49.99 12.99', { currency: 'USD' }).value, 49.99);
+  });
+
+  it('returns null without a number', () => {
+    assert.equal(parse('Out of stock'), null);
+    assert.equal(parse(null), null);
+  });
+
+  describe('prices glued to their own copy', () => {
+    // Amazon renders the accessible price next to the visible one, textContent joins them
+    it('keeps the first copy, with a lower confidence', () => {
+      assert.deepEqual(parsePrice('329,00329', { currency: 'EUR' }), { value: 329, confidence: 0.7 });
+      assert.deepEqual(parsePrice('189,99189', { locale: 'fr-FR', currency: 'EUR' }), { value: 189.99, confidence: 0.7 });
+      assert.deepEqual(parsePrice('24.9924', { locale: 'en-GB', currency: 'GBP' }), { value: 24.99, confidence: 0.7 });
+    });
+
+    it('does not take thousands for a glued price', () => {
+      assert.equal(parse('1.001 €', { locale: 'de-DE', currency: 'EUR' }).value, 1001);
+      assert.equal(parse('$10,001', { locale: 'en-US', currency: 'USD' }).value, 10001);
+      assert.equal(parse('$1,001', { currency: 'USD' }).value, 1001);
+    });
+
+    it('leaves ordinary prices alone', () => {
+      assert.deepEqual(parsePrice('12,50 €', { locale: 'fr-FR', currency: 'EUR' }), { value: 12.5, confidence: 1 });
+      assert.deepEqual(parsePrice('1.234,56', { locale: 'de-DE', currency: 'EUR' }), { value: 1234.56, confidence: 1 });
+      assert.deepEqual(parsePrice('19.99', { currency: 'USD' }), { value: 19.99, confidence: 1 });
+    });
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * urlCleaner tests: canonical product URLs, tracking parameters, and the parameters a page needs
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers');
+
+const window = loadPage('<!doctype html><html><body></body></html>', 'https://example.com/', ['js/url-cleaner.js']);
+const { clean } = window.urlCleaner;
+
+describe('urlCleaner.clean', () => {
+  it('reduces an Amazon product to /dp/ASIN', () => {
+    assert.equal(
+      clean('https://www.amazon.fr/DeLonghi-Dedica/dp/B00X7Q5E4Q/ref=sr_1_3?keywords=expresso&tag=shop-21&th=1'),
+      'https://www.amazon.fr/dp/B00X7Q5E4Q'
+    );
+  });
+
+  it('keeps the query of an Amazon search', () => {
+    assert.equal(
+      clean('https://www.amazon.com/s?k=kettle&rh=n%3A289913&utm_source=mail'),
+      'https://www.amazon.com/s?k=kettle&rh=n%3A289913'
+    );
+  });
+
+  it('removes the tracking parameters of any site', () => {
+    assert.equal(
+      clean('https://shop.example.com/p/mug?size=L&utm_campaign=spring&fbclid=abc&gclid=def#reviews'),
+      'https://shop.example.com/p/mug?size=L'
+    );
+  });
+
+  it('keeps the parameters a shop uses for its products', () => {
+    assert.equal(
+      clean('https://shop.example.com/product.php?ref=MUG-42&campaign=spring-collection&tag=blue'),
+      'https://shop.example.com/product.php?ref=MUG-42&campaign=spring-collection&tag=blue'
+    );
+  });
+});